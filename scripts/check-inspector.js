@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+// scripts/check-inspector.js
+// Headless regression check for the page (jsdom): an inspection opened from a
+// strand must survive redraws that have nothing to do with it (pane resize,
+// settings), while filter changes still re-list or close it. Exits non-zero
+// on failure.
+//
+//   node scripts/check-inspector.js
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { JSDOM } from "jsdom";
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+// Resize callbacks, called by hand below (jsdom has no layout)
+const observers = [];
+
+function installDOM() {
+  const dom = new JSDOM(`<!doctype html><html><body><div id="viz"></div></body></html>`, {
+    url: "http://localhost/",
+    pretendToBeVisual: true,
+  });
+  const { window } = dom;
+  for (const key of ["window", "document", "navigator", "location", "history", "localStorage", "Event", "MouseEvent"]) {
+    Object.defineProperty(globalThis, key, { value: key === "window" ? window : window[key], configurable: true, writable: true });
+  }
+  globalThis.getComputedStyle = window.getComputedStyle.bind(window);
+  globalThis.XMLSerializer = window.XMLSerializer;
+  globalThis.requestAnimationFrame = window.requestAnimationFrame.bind(window);
+  globalThis.cancelAnimationFrame = window.cancelAnimationFrame.bind(window);
+  globalThis.ResizeObserver = class {
+    constructor(cb) { this.cb = cb; }
+    observe() { observers.push(this); }
+    disconnect() {}
+  };
+  // Page fetches (dataset, codebook) read from the repository
+  globalThis.fetch = async url => {
+    const file = path.join(root, new URL(url, "http://localhost/").pathname);
+    try {
+      return new Response(await fs.readFile(file, "utf8"));
+    } catch {
+      return new Response("", { status: 404, statusText: "Not Found" });
+    }
+  };
+  return window;
+}
+
+const frame = () => new Promise(resolve => setTimeout(resolve, 50));
+
+function inspection() {
+  const panel = document.querySelector(".inspector");
+  return {
+    open: !!panel && !panel.hasAttribute("hidden"),
+    title: panel?.querySelector(".inspector-title")?.textContent ?? "",
+    query: panel?.querySelector(".inspector-search")?.value ?? "",
+  };
+}
+
+async function main() {
+  const window = installDOM();
+  const { initViz } = await import("../src/viz/app.js");
+  await initViz("#viz");
+
+  // Open a strand inspection and type into its search
+  const strand = document.querySelector("path.row-hit");
+  if (!strand) throw new Error("No strand drawn.");
+  strand.dispatchEvent(new window.MouseEvent("click", { bubbles: true }));
+  const search = document.querySelector(".inspector-search");
+  search.value = "a";
+  search.dispatchEvent(new window.Event("input"));
+  const opened = inspection();
+  if (!opened.open || !opened.title.startsWith("Instance")) throw new Error("Strand click did not open the inspector.");
+
+  const checks = [];
+  const expectKept = label => {
+    const now = inspection();
+    const ok = now.open && now.title === opened.title && now.query === opened.query;
+    checks.push(ok);
+    console.log(`${ok ? "ok  " : "FAIL"} ${label}: ${now.open ? `"${now.title}" (search "${now.query}")` : "closed"}`);
+  };
+
+  // Pane resize: redraws the figure in the screen layout
+  for (const o of observers) o.cb([{ contentRect: { width: 900, height: 600 } }]);
+  await frame();
+  expectKept("after resize");
+
+  // A setting unrelated to the selection
+  const select = [...document.querySelectorAll(".controls select")]
+    .find(el => [...el.options].some(o => o.value === "alluvial"));
+  select.value = "alluvial";
+  select.dispatchEvent(new window.Event("change"));
+  await frame();
+  expectKept("after mode change");
+
+  // The filter still drives it: a node click lists its instances, clearing closes it
+  document.querySelector("g.node").dispatchEvent(new window.MouseEvent("click", { bubbles: true }));
+  await frame();
+  const filtered = inspection();
+  checks.push(filtered.open && filtered.title !== opened.title);
+  console.log(`${checks.at(-1) ? "ok  " : "FAIL"} node click: ${filtered.open ? `"${filtered.title}"` : "closed"}`);
+  document.querySelector(".filter-chips-clear").dispatchEvent(new window.MouseEvent("click", { bubbles: true }));
+  await frame();
+  checks.push(!inspection().open);
+  console.log(`${checks.at(-1) ? "ok  " : "FAIL"} filter cleared: ${inspection().open ? "still open" : "closed"}`);
+
+  if (checks.some(ok => !ok)) process.exit(1);
+}
+
+main().then(
+  () => process.exit(0),
+  err => {
+    console.error(err);
+    process.exit(1);
+  }
+);
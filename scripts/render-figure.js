@@ -0,0 +1,182 @@
+#!/usr/bin/env node
+// scripts/render-figure.js
+// Headless figure build: dataset (+ view config) in, SVG (and optionally PNG) out.
+// Runs the same drawFigure() + export pipeline as the page, on a jsdom shim,
+// so paper figures can be regenerated from the data, e.g. in a Makefile:
+//
+//   figures/map.svg: data/cleaned.csv figure.json
+//   	node scripts/render-figure.js --data $< --config figure.json --out $@ --png
+//
+// View options (later ones win):
+//   --query  a query string copied from the page ("Copy link"), e.g.
+//            "mode=alluvial&colorBy=Affective+Aim&filter=Sensory+Modality:Touch"
+//   --config JSON file: { idColumn, textColumn, axes: [..],
+//            settings: { render: {..}, parallel: {..}, ribbon: {..}, multi: {..},
+//                        ordering: { method, lockedAxes: [..], pinned: {..} } },
+//            filter: { "<axis>": ["<label>", ..] },
+//            colors: { "<axis>": { "<label>": "#rrggbb", .. } },
+//            categoryOrders: { "<axis>": ["<label>", ..] } }  (the page's "Export JSON")
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import { JSDOM } from "jsdom";
+import * as d3 from "d3";
+
+import { DATA, EXPORT, MULTI } from "../src/viz/config.js";
+import { drawFigure, resolveColorBy } from "../src/viz/render.js";
+import { applyColumnAliases, parseDataset } from "../src/viz/loader.js";
+import { axesFromParams, codedColumns, resolveAxes } from "../src/viz/axes.js";
+import { settingsFromParams } from "../src/viz/controls.js";
+import { filterFromParams, isFilterEmpty } from "../src/viz/filter.js";
+import { exportFilename, serializeSVG, standaloneSVG, withDPI } from "../src/viz/export.js";
+import { parseCodebook, setCodebook } from "../src/viz/codebook.js";
+import { describeCrossings } from "../src/viz/ordering.js";
+
+const USAGE = `Usage: node scripts/render-figure.js [options]
+
+  --data <file>     CSV, TSV or JSON dataset (default: ${DATA.path.replace(/^\//, "")})
+  --config <file>   JSON view config (axes, settings, filter, colours, id/text columns)
+  --codebook <file> JSON or YAML codebook (default: ${DATA.codebookPath.replace(/^\//, "")}, if present)
+  --query <string>  view as a page query string (from "Copy link")
+  --out <file.svg>  output path (default: figures/<mode>_<colour-by>.svg)
+  --png             also write a PNG next to the SVG
+  --dpi <n>         PNG resolution (default: ${EXPORT.dpi})
+  -h, --help`;
+
+function installDOM() {
+  const { window } = new JSDOM("<!doctype html><html><head></head><body></body></html>");
+  globalThis.window = window;
+  globalThis.document = window.document;
+  globalThis.getComputedStyle = window.getComputedStyle.bind(window);
+  globalThis.XMLSerializer = window.XMLSerializer;
+  return window;
+}
+
+async function readConfig(file) {
+  if (!file) return {};
+  try {
+    return JSON.parse(await fs.readFile(file, "utf8"));
+  } catch (err) {
+    throw new Error(`Could not read config ${file}: ${err.message}`);
+  }
+}
+
+// Settings from the query string, then config sections merged over them
+function resolveView(config, query) {
+  const params = new URLSearchParams(query || "");
+  const settings = settingsFromParams(params);
+  for (const [section, values] of Object.entries(config.settings || {})) {
+    settings[section] = { ...settings[section], ...values };
+  }
+
+  let filter = filterFromParams(params);
+  for (const [axis, labels] of Object.entries(config.filter || {})) {
+    filter.set(axis, new Set([].concat(labels)));
+  }
+  filter = new Map([...filter].filter(([, labels]) => labels.size));
+
+  const axes = config.axes || (params.has("axis") ? axesFromParams(params) : null);
+  return { settings, axes, filter };
+}
+
+// An explicit --codebook must exist; the default one is optional
+async function loadCodebook(file, explicit) {
+  let text;
+  try {
+    text = await fs.readFile(file, "utf8");
+  } catch (err) {
+    if (!explicit && err.code === "ENOENT") return null;
+    throw new Error(`Could not read codebook ${file}: ${err.message}`);
+  }
+  return parseCodebook(text, file);
+}
+
+async function rasterise(svgText, dpi) {
+  let Resvg;
+  try {
+    ({ Resvg } = await import("@resvg/resvg-js"));
+  } catch {
+    throw new Error("PNG output needs @resvg/resvg-js (npm install -D @resvg/resvg-js).");
+  }
+  const png = new Resvg(svgText, {
+    fitTo: { mode: "zoom", value: dpi / 96 },
+    background: "#ffffff",
+    font: { loadSystemFonts: true },
+  }).render().asPng();
+  const blob = await withDPI(new Blob([png], { type: "image/png" }), dpi);
+  return Buffer.from(await blob.arrayBuffer());
+}
+
+async function main() {
+  const { values: args } = parseArgs({
+    options: {
+      data: { type: "string", default: DATA.path.replace(/^\//, "") },
+      config: { type: "string" },
+      codebook: { type: "string" },
+      query: { type: "string" },
+      out: { type: "string" },
+      png: { type: "boolean", default: false },
+      dpi: { type: "string", default: String(EXPORT.dpi) },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+  if (args.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const dpi = Number(args.dpi);
+  if (!Number.isFinite(dpi) || dpi <= 0) throw new Error(`Invalid --dpi: ${args.dpi}`);
+
+  const config = await readConfig(args.config);
+  setCodebook(await loadCodebook(args.codebook ?? DATA.codebookPath.replace(/^\//, ""), !!args.codebook));
+  const idColumn = config.idColumn ?? DATA.idColumn;
+  const textColumn = config.textColumn ?? DATA.textColumn;
+
+  const text = await fs.readFile(args.data, "utf8");
+  const rows = applyColumnAliases(parseDataset(text, args.data).rows);
+  const columns = codedColumns(rows.columns, { idColumn, textColumn });
+
+  const view = resolveView(config, args.query);
+  const axes = resolveAxes(view.axes, columns);
+
+  const window = installDOM();
+  const host = d3.select(window.document.body).append("div");
+  const { ordering, cappedRows } = drawFigure(host, rows, {
+    axes,
+    idColumn,
+    textColumn,
+    settings: view.settings,
+    filter: view.filter,
+    colors: config.colors ?? {},
+    categoryOrders: config.categoryOrders ?? {},
+  });
+
+  const svgText = serializeSVG(await standaloneSVG(host.select("svg").node()));
+
+  const out = args.out ?? path.join("figures", exportFilename({
+    mode: view.settings.render.mode,
+    colorBy: resolveColorBy(view.settings.render.colorBy, axes),
+    filtered: !isFilterEmpty(view.filter),
+  }, "svg"));
+  await fs.mkdir(path.dirname(out), { recursive: true });
+  await fs.writeFile(out, svgText);
+  console.log(`wrote ${out} (${rows.length} rows, axes: ${axes.join(", ")})`);
+  console.log(describeCrossings(ordering));
+  if (cappedRows) {
+    const { maxPaths } = { ...MULTI, ...view.settings.multi };
+    console.warn(`${cappedRows} multi-coded row(s) have more than ${maxPaths} label combinations; their strands follow the first code on the remaining axes.`);
+  }
+
+  if (args.png) {
+    const pngOut = out.replace(/\.svg$/i, "") + ".png";
+    await fs.writeFile(pngOut, await rasterise(svgText, dpi));
+    console.log(`wrote ${pngOut} (${dpi} dpi)`);
+  }
+}
+
+main().catch(err => {
+  console.error(err.message);
+  process.exitCode = 1;
+});
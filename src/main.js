@@ -1,5 +1,5 @@
 import "./style.css";
-import { initViz } from "./viz/render.js";
+import { initViz } from "./viz/app.js";
 
 initViz("#viz");
 
@@ -0,0 +1,615 @@
+// src/viz/app.js
+// Interactive page: HTML chrome (dataset, controls, export, filter chips,
+// inspector), view state mirrored into the URL, and data loading.
+// Drawing itself is drawFigure() in render.js; on screen the figure sits in a
+// zoomable pane (zoom.js), laid out for the pane's size (profile.js) and redrawn
+// when it is resized. Exports redraw it in print layout.
+
+import * as d3 from "d3";
+import { AXES, AXIS_SEARCH, DATA, MULTI, ORDERING, SMALL } from "./config.js";
+import { drawFigure, resolveColorBy } from "./render.js";
+import { resolveHeatmapAxes } from "./heatmap.js";
+import { createInspector } from "./inspector.js";
+import { readViewFromURL, renderControls, writeViewToURL } from "./controls.js";
+import {
+  applyColumnAliases,
+  attachDropZone,
+  guessMapping,
+  readDatasetFile,
+  renderFileButton,
+  renderMappingDialog,
+} from "./loader.js";
+import { renderQualityReport, validateDataset } from "./validate.js";
+import { diffDatasets, renderDiffPanel } from "./diff.js";
+import { download, renderExportMenu } from "./export.js";
+import { loadColorOverrides, renderColorEditor, saveColorOverrides } from "./palette.js";
+import { categoryTotals } from "./marginals.js";
+import { MISSING_LABEL } from "./preprocess.js";
+import { fetchCodebook, parseCodebook, setCodebook } from "./codebook.js";
+import { renderOrderingStats } from "./ordering.js";
+import { renderAxisSearch, searchAxisOrders } from "./axisSearch.js";
+import { createZoomView } from "./zoom.js";
+import { PRINT_PROFILE, legibleProfile, screenProfile, watchSize } from "./profile.js";
+import {
+  categoryOrdersToJSON,
+  loadCategoryOrders,
+  renderOrderPanel,
+  saveCategoryOrders,
+  validateCategoryOrders,
+} from "./categoryOrder.js";
+import {
+  codedColumns,
+  moveAxis,
+  renderAxisPicker,
+  resolveAxes,
+} from "./axes.js";
+import {
+  describeFilter,
+  isFilterEmpty,
+  renderFilterChips,
+  toggleCellFilter,
+  toggleFilter,
+} from "./filter.js";
+
+export async function initViz(containerSelector) {
+  const container = d3.select(containerSelector);
+  container.selectAll("*").remove();
+
+  // HTML chrome sits above the SVG so it never ends up in exported figures
+  const chrome = container.append("div").attr("class", "viz-chrome");
+  const datasetHost = chrome.append("div").attr("class", "dataset");
+  const qualityHost = chrome.append("div").attr("class", "quality-host");
+  const diffHost = chrome.append("div").attr("class", "diff-host");
+  const controlsHost = chrome.append("div").attr("class", "controls");
+  const colorsHost = chrome.append("div").attr("class", "colors-host");
+  const orderingHost = chrome.append("div").attr("class", "ordering-host");
+  const orderHost = chrome.append("div").attr("class", "order-host");
+  const exportHost = chrome.append("div").attr("class", "export");
+  const axisPickerHost = chrome.append("div").attr("class", "axis-picker-host");
+  const axisSearchHost = chrome.append("div").attr("class", "axis-search-host");
+  const chipsHost = chrome.append("div").attr("class", "filter-chips is-empty");
+  const expandedHost = chrome.append("div").attr("class", "filter-chips expanded-other is-empty");
+  const figureHost = container.append("div").attr("class", "viz-figure");
+  // Exports are drawn here, at print size, untouched by zoom / focus
+  const printHost = container.append("div").attr("class", "print-host").attr("aria-hidden", "true");
+  const zoomView = createZoomView(figureHost);
+  const dialogHost = container.append("div").attr("class", "dialog-host");
+  const inspector = createInspector(container);
+
+  // -----------------------------
+  // View state: dataset (fetched or opened locally), settings (control panel),
+  // axes (picker + drag) and filter (click nodes to toggle).
+  // Settings/axes/filter start from, and are written back to, the URL.
+  // -----------------------------
+  let dataset = null; // { name, rows, idColumn, textColumn, columns }
+  let baseline = null; // { name, rows } — earlier coding round to compare against
+  let baselineError = null; // shown in the comparison panel; the figure stays as it is
+  let diffOnlyChanged = false;
+  let colorOverrides = {}; // { [axis]: { [label]: colour } }, saved per dataset
+  let codebookName = null;
+  let codebookError = null; // shown beside the codebook button
+  let expandedOther = new Set(); // axes whose "Other" node was clicked open
+  let categoryOrders = {}; // { [axis]: [label] }, dragged in the figure, saved per dataset
+  let categoryOrderError = null; // failed import, shown in the order panel
+  let axisSearch = { options: { ...AXIS_SEARCH }, found: null, running: null }; // "Suggest axis order"
+  let focusAxis = null; // screen fisheye (zoom toolbar)
+  let cappedRows = 0; // rows over MULTI.maxPaths in the figure on show (quality report)
+  let inspectedFilter = null; // the filter the inspector last listed (see update)
+  let minFont = 0; // figure px: on-screen type is drawn at least this large (zoom.js)
+  let printOpts = null; // drawFigure options of the figure on show, for exports
+  let paneSize = { width: figureHost.node().clientWidth, height: figureHost.node().clientHeight };
+  let { settings, axes, filter } = readViewFromURL();
+
+  function setDataset(next, nextAxes) {
+    dataset = next;
+    colorOverrides = loadColorOverrides(dataset.name);
+    expandedOther = new Set();
+    categoryOrders = loadCategoryOrders(dataset.name);
+    categoryOrderError = null;
+    axisSearch = clearAxisSearch();
+    axes = resolveAxes(nextAxes, dataset.columns);
+    filter = new Map([...filter].filter(([axis]) => axes.includes(axis)));
+    drawDataset();
+    drawQuality();
+    drawControls();
+    drawAxisPicker();
+    drawAxisSearch();
+    update();
+  }
+
+  function setBaseline(next) {
+    baseline = next;
+    baselineError = null;
+    if (!baseline) diffOnlyChanged = false;
+    drawDataset();
+    update();
+  }
+
+  function setFilter(next) {
+    filter = next;
+    update();
+  }
+
+  function setSetting(section, key, value) {
+    const modeChanged = section === "render" && key === "mode" && settings.render.mode !== value;
+    settings = { ...settings, [section]: { ...settings[section], [key]: value } };
+    // A new threshold folds a different set of categories: start folded again
+    if (section === "small" && key === "otherBelow") expandedOther = new Set();
+    // Mode toggles mode-specific controls; a heatmap axis pick may shift the other axis
+    if (modeChanged || section === "heatmap") drawControls();
+    // The quality report reads multi-coded cells code by code
+    if (section === "multi") drawQuality();
+    update();
+  }
+
+  function setExpandedOther(next) {
+    expandedOther = next;
+    update();
+  }
+
+  function setCategoryOrders(next) {
+    categoryOrders = next;
+    categoryOrderError = null;
+    saveCategoryOrders(dataset.name, categoryOrders);
+    update();
+  }
+
+  async function importCategoryOrders(file) {
+    try {
+      setCategoryOrders({ ...categoryOrders, ...validateCategoryOrders(JSON.parse(await file.text())) });
+    } catch (err) {
+      console.error("Failed to read category orders:", err);
+      // The current orders stay; only the panel is redrawn
+      categoryOrderError = `Could not read category orders ${file.name}: ${err.message}`;
+      drawOrderPanel();
+    }
+  }
+
+  function drawOrderPanel() {
+    renderOrderPanel(orderHost, {
+      orders: categoryOrders,
+      onChange: setCategoryOrders,
+      onExport: exportCategoryOrders,
+      onImport: importCategoryOrders,
+      error: categoryOrderError,
+    });
+  }
+
+  function exportCategoryOrders() {
+    const base = dataset.name.replace(/\.[^.]+$/, "");
+    download(new Blob([categoryOrdersToJSON(categoryOrders)], { type: "application/json" }), `${base}-category-order.json`);
+  }
+
+  function setAxisSearch(next) {
+    axisSearch = next;
+    drawAxisSearch();
+  }
+
+  // Drops the suggestions and stops a search still running (they no longer apply)
+  function clearAxisSearch(options = axisSearch.options) {
+    axisSearch.running?.controller.abort();
+    return { options, found: null, running: null };
+  }
+
+  // Category ordering as the figure applies it (dragged orders are manual constraints)
+  function orderingSettings() {
+    return {
+      ...ORDERING,
+      ...settings.ordering,
+      manual: { ...(settings.ordering?.manual ?? ORDERING.manual), ...categoryOrders },
+    };
+  }
+
+  // Runs in slices (see axisSearch.js); the panel shows progress meanwhile
+  async function runAxisSearch() {
+    if (axisSearch.running) return;
+    const controller = new AbortController();
+    const from = axes.slice();
+    const isCurrent = () => axisSearch.running?.controller === controller;
+    setAxisSearch({ ...axisSearch, found: null, running: { controller, from, progress: null } });
+    try {
+      const found = await searchAxisOrders(dataset.rows, from, {
+        ...axisSearch.options,
+        multi: { ...MULTI, ...settings.multi },
+        ordering: orderingSettings(),
+        idColumn: dataset.idColumn,
+        textColumn: dataset.textColumn,
+        signal: controller.signal,
+        onProgress: progress => {
+          if (isCurrent()) setAxisSearch({ ...axisSearch, running: { ...axisSearch.running, progress } });
+        },
+      });
+      if (isCurrent()) setAxisSearch({ ...axisSearch, running: null, found: { ...found, from } });
+    } catch (err) {
+      if (controller.signal.aborted) return; // cancelled or superseded; state already cleared
+      if (isCurrent()) setAxisSearch({ ...axisSearch, running: null });
+      throw err;
+    }
+  }
+
+  function setAxes(next) {
+    axes = next;
+    // Suggestions only apply to the axes they were searched for
+    const from = axisSearch.found?.from ?? axisSearch.running?.from;
+    if (from && (from.length !== axes.length || from.some(a => !axes.includes(a)))) {
+      axisSearch = clearAxisSearch();
+    }
+    // Filter entries on axes that are no longer shown would match nothing
+    filter = new Map([...filter].filter(([axis]) => axes.includes(axis)));
+    drawQuality();
+    drawControls();
+    drawAxisPicker();
+    drawAxisSearch();
+    update();
+  }
+
+  // -----------------------------
+  // Loading: default fetch, then file picker / drag-and-drop + column mapping
+  // -----------------------------
+  async function openFile(file) {
+    let loaded;
+    try {
+      loaded = await readDatasetFile(file);
+    } catch (err) {
+      console.error("Failed to read dataset:", err);
+      showMessage(`Could not read ${file.name}: ${err.message}`);
+      return;
+    }
+
+    renderMappingDialog(dialogHost, {
+      name: loaded.name,
+      rows: loaded.rows,
+      mapping: guessMapping(loaded.rows),
+      onApply: ({ idColumn, textColumn, axes: mapped }) => {
+        filter = new Map();
+        setDataset({
+          name: loaded.name,
+          rows: loaded.rows,
+          idColumn,
+          textColumn,
+          columns: codedColumns(loaded.rows.columns, { idColumn, textColumn }),
+        }, mapped);
+      },
+    });
+  }
+
+  async function openBaselineFile(file) {
+    try {
+      const loaded = await readDatasetFile(file);
+      setBaseline({ name: loaded.name, rows: loaded.rows });
+    } catch (err) {
+      console.error("Failed to read baseline:", err);
+      setBaselineError(`Could not read ${file.name}: ${err.message}`);
+    }
+  }
+
+  async function loadDefaultBaseline() {
+    const path = DATA.comparePath;
+    try {
+      const rows = applyColumnAliases(await d3.csv(path));
+      setBaseline({ name: path.split("/").pop(), rows });
+    } catch (err) {
+      console.error("Failed to load baseline CSV:", err);
+      setBaselineError(`Could not load ${path}.`);
+    }
+  }
+
+  // A failed baseline leaves the figure and any current comparison in place
+  function setBaselineError(text) {
+    baselineError = text;
+    update();
+  }
+
+  // Codebook: the default one is fetched on start-up; another can be opened
+  function applyCodebook(raw, name) {
+    setCodebook(raw);
+    codebookName = raw ? name : null;
+    codebookError = null;
+    drawDataset();
+    drawQuality();
+    update();
+  }
+
+  async function openCodebookFile(file) {
+    try {
+      applyCodebook(await parseCodebook(await file.text(), file.name), file.name);
+    } catch (err) {
+      console.error("Failed to read codebook:", err);
+      // The codebook in use stays; the figure is left as it is
+      codebookError = `Could not read codebook ${file.name}: ${err.message}`;
+      drawDataset();
+    }
+  }
+
+  // Screen layout: sized from the figure pane (print size until the pane is laid out)
+  function figureProfile() {
+    if (settings.screen?.layout === "print" || !paneSize.width) return PRINT_PROFILE;
+    return screenProfile(paneSize, {
+      orientation: settings.screen?.orientation,
+      mode: settings.render.mode,
+      axisCount: axes.length,
+    });
+  }
+
+  // Zoom gestures report the smallest legible size; the figure is redrawn when
+  // that changes which type sizes are raised (whole px, so it settles)
+  function setMinFont(size) {
+    const next = Math.ceil(size);
+    if (next === minFont) return;
+    const base = figureProfile();
+    const raises = f => legibleProfile(base, f) !== base;
+    const redraw = raises(next) || raises(minFont);
+    minFont = next;
+    if (redraw) update();
+  }
+
+  function showMessage(text) {
+    figureHost.selectAll("*").remove();
+    figureHost.append("p").attr("class", "viz-message").text(text);
+  }
+
+  function drawDataset() {
+    datasetHost.selectAll("*").remove();
+    renderFileButton(datasetHost, { onFile: openFile });
+    datasetHost.append("span")
+      .attr("class", "dataset-name")
+      .text(dataset ? `${dataset.name} (${dataset.rows.length} rows)` : "No dataset loaded");
+
+    renderFileButton(datasetHost, {
+      onFile: openCodebookFile,
+      label: "Open codebook…",
+      className: "dataset-codebook",
+      accept: ".json,.yaml,.yml,application/json",
+    });
+    datasetHost.append("span")
+      .attr("class", "dataset-name")
+      .text(codebookName ? `codebook: ${codebookName}` : "no codebook");
+    if (codebookError) datasetHost.append("span").attr("class", "load-error").text(codebookError);
+
+    if (!dataset) return;
+    renderFileButton(datasetHost, {
+      onFile: openBaselineFile,
+      label: "Compare with…",
+      className: "dataset-compare",
+    });
+    if (DATA.comparePath && !baseline) {
+      datasetHost.append("button")
+        .attr("type", "button")
+        .attr("class", "dataset-compare")
+        .text(`Compare with ${DATA.comparePath.split("/").pop()}`)
+        .on("click", loadDefaultBaseline);
+    }
+  }
+
+  attachDropZone(container, { onFile: openFile });
+
+  // Validate against the configured schema plus whatever axes are in use
+  function drawQuality() {
+    if (!dataset) return;
+    const report = validateDataset(dataset.rows, {
+      axes: [...new Set(AXES.concat(axes))],
+      idColumn: dataset.idColumn,
+      textColumn: dataset.textColumn,
+      multi: { ...MULTI, ...settings.multi },
+    });
+    const multi = { ...MULTI, ...settings.multi };
+    renderQualityReport(qualityHost, report, { cappedRows, maxPaths: multi.maxPaths });
+  }
+
+  // Axis-valued controls list the axes on show; colour-by and the heatmap pair are shown as drawn
+  function drawControls() {
+    const shown = {
+      ...settings,
+      render: { ...settings.render, colorBy: resolveColorBy(settings.render.colorBy, axes) },
+      heatmap: { ...settings.heatmap, ...resolveHeatmapAxes(settings.heatmap, axes) },
+    };
+    renderControls(controlsHost, shown, { onChange: setSetting, axes });
+  }
+
+  function drawAxisPicker() {
+    if (!dataset) return;
+    renderAxisPicker(axisPickerHost, { columns: dataset.columns, axes, onChange: setAxes });
+  }
+
+  function drawAxisSearch() {
+    if (!dataset) return;
+    renderAxisSearch(axisSearchHost, {
+      ...axisSearch,
+      axes,
+      onOptions: options => setAxisSearch(clearAxisSearch(options)),
+      onSearch: runAxisSearch,
+      onCancel: () => setAxisSearch(clearAxisSearch()),
+      onPick: next => setAxes(next),
+    });
+  }
+
+  // Colours of the colour-by attribute (not shown in heatmap mode)
+  function drawColorEditor(colorOf) {
+    if (!colorOf) {
+      colorsHost.selectAll("*").remove();
+      return;
+    }
+    const axis = resolveColorBy(settings.render.colorBy, axes);
+    const categories = [...categoryTotals(dataset.rows, axis, { ...MULTI, ...settings.multi }).keys()]
+      .filter(label => label !== MISSING_LABEL)
+      .sort((a, b) => a.localeCompare(b));
+    renderColorEditor(colorsHost, {
+      axis,
+      categories,
+      colorOf,
+      overrides: colorOverrides[axis] ?? {},
+      onChange: next => {
+        colorOverrides = { ...colorOverrides, [axis]: next };
+        saveColorOverrides(dataset.name, colorOverrides);
+        update();
+      },
+    });
+  }
+
+  // Axes whose "Other" node is expanded, each with a button to fold it again
+  function drawExpandedOther() {
+    expandedHost.selectAll("*").remove();
+    const shown = [...expandedOther].filter(axis => axes.includes(axis));
+    expandedHost.classed("is-empty", !shown.length || !(settings.small?.otherBelow > 0));
+    if (!shown.length) return;
+
+    expandedHost.append("span")
+      .attr("class", "filter-chips-title")
+      .text("Expanded");
+    for (const axis of shown) {
+      const chip = expandedHost.append("span").attr("class", "filter-chip");
+      chip.append("span").attr("class", "filter-chip-axis").text(axis);
+      chip.append("span").attr("class", "filter-chip-label").text(SMALL.otherLabel);
+      chip.append("button")
+        .attr("type", "button")
+        .attr("class", "filter-chip-remove")
+        .attr("aria-label", `Fold small categories on ${axis} again`)
+        .attr("title", "Fold again")
+        .text("×")
+        .on("click", () => setExpandedOther(new Set([...expandedOther].filter(a => a !== axis))));
+    }
+  }
+
+  // Recomputed on every update: axes, multi-code, small-category and ordering
+  // settings change the aggregates (the same ones the figure is drawn from)
+  function computeDiff() {
+    if (!baseline) return null;
+    const small = { ...SMALL, ...settings.small };
+    return diffDatasets(baseline.rows, dataset.rows, {
+      axes,
+      idColumn: dataset.idColumn,
+      multi: { ...MULTI, ...settings.multi },
+      // The heatmap always shows every category
+      small: settings.render.mode === "heatmap" ? { ...small, otherBelow: 0 } : small,
+      expandedOther,
+      ordering: orderingSettings(),
+    });
+  }
+
+  function update() {
+    if (!dataset) return;
+    writeViewToURL({ settings, axes, filter });
+
+    const diff = computeDiff();
+    renderDiffPanel(diffHost, diff, {
+      baselineName: baseline?.name,
+      onlyChanged: diffOnlyChanged,
+      onToggleChanged: (on) => { diffOnlyChanged = on; update(); },
+      onClear: () => setBaseline(null),
+      error: baselineError,
+    });
+
+    printOpts = {
+      axes,
+      idColumn: dataset.idColumn,
+      textColumn: dataset.textColumn,
+      settings,
+      filter,
+      diff,
+      diffOnlyChanged,
+      colors: colorOverrides,
+      expandedOther,
+      categoryOrders,
+    };
+    if (!axes.includes(focusAxis)) focusAxis = null;
+    const profile = legibleProfile(figureProfile(), minFont);
+
+    const { instances, active, colorOf, ordering, cappedRows: capped } = drawFigure(figureHost, dataset.rows, {
+      ...printOpts,
+      onNodeClick: d => setFilter(toggleFilter(filter, d.axis, d.label)),
+      onInspect: (title, list) => inspector.show(title, list, axes),
+      onAxisReorder: (from, to) => setAxes(moveAxis(axes, from, to)),
+      onCellClick: (axisA, labelA, axisB, labelB) => setFilter(toggleCellFilter(filter, axisA, labelA, axisB, labelB)),
+      onExpandOther: axis => setExpandedOther(new Set([...expandedOther, axis])),
+      onCategoryReorder: (axis, order) => setCategoryOrders({ ...categoryOrders, [axis]: order }),
+      focusAxis,
+      profile,
+    });
+    // Vertical figures are as tall as their rows need: the page scrolls
+    figureHost.style("min-height", profile.orientation === "vertical" ? `${profile.height}px` : null);
+    zoomView.attach(figureHost.select("svg").node(), {
+      axes: settings.render.mode === "heatmap" ? [] : axes,
+      focusAxis,
+      onFocus: axis => { focusAxis = axis; update(); },
+      onMinFont: setMinFont,
+    });
+    drawColorEditor(colorOf);
+    renderOrderingStats(orderingHost, ordering);
+    // Strands capped per instance are a data finding: shown in the quality report
+    if (capped !== cappedRows) {
+      cappedRows = capped;
+      drawQuality();
+    }
+    drawOrderPanel();
+    drawExpandedOther();
+
+    // The inspector follows the filter: it lists the quotes behind the current
+    // selection. Only a new filter (setFilter, axes, dataset) re-lists it, so
+    // redraws (zoom, resize, settings) keep an open strand / ribbon inspection.
+    if (filter !== inspectedFilter) {
+      inspectedFilter = filter;
+      if (isFilterEmpty(filter)) {
+        inspector.close();
+      } else {
+        const matching = active ? instances.filter(inst => active.has(inst.index)) : instances;
+        inspector.show(describeFilter(filter), matching, axes);
+      }
+    }
+
+    renderFilterChips(chipsHost, filter, {
+      matchCount: active ? active.size : (isFilterEmpty(filter) ? null : instances.length),
+      onRemove: (axis, label) => setFilter(toggleFilter(filter, axis, label)),
+      onClear: () => setFilter(new Map()),
+    });
+  }
+
+  watchSize(figureHost.node(), size => {
+    if (size.width === paneSize.width && size.height === paneSize.height) return;
+    paneSize = size;
+    if (settings.screen?.layout !== "print") update();
+  });
+
+  drawDataset();
+  drawControls();
+  renderExportMenu(exportHost, {
+    getSVG: () => {
+      if (!printOpts) return null;
+      drawFigure(printHost, dataset.rows, printOpts);
+      return printHost.select("svg").node();
+    },
+    getView: () => ({
+      mode: settings.render.mode,
+      colorBy: resolveColorBy(settings.render.colorBy, axes),
+      filtered: !isFilterEmpty(filter),
+    }),
+  });
+
+  // Without a codebook, labels are shown as coded (nothing is merged)
+  if (DATA.codebookPath) {
+    try {
+      setCodebook(await fetchCodebook(DATA.codebookPath));
+      codebookName = DATA.codebookPath.split("/").pop();
+      drawDataset();
+    } catch (err) {
+      console.error("Failed to load codebook:", err);
+      // Shown beside the codebook button once the dataset is drawn; labels stay as coded
+      codebookError = `Could not load codebook ${DATA.codebookPath}: ${err.message}`;
+      drawDataset();
+    }
+  }
+
+  const dataPath = DATA.path;
+  try {
+    const rows = applyColumnAliases(await d3.csv(dataPath));
+    setDataset({
+      name: dataPath.split("/").pop(),
+      rows,
+      idColumn: DATA.idColumn,
+      textColumn: DATA.textColumn,
+      columns: codedColumns(rows.columns, DATA),
+    }, axes);
+  } catch (err) {
+    console.error("Failed to load CSV:", err);
+    showMessage(`Could not load ${dataPath}. Open a CSV, TSV or JSON dataset, or drop one onto the page.`);
+  }
+}
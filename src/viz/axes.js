@@ -0,0 +1,134 @@
+// src/viz/axes.js
+// User-defined axis selection and ordering.
+// - Any subset of the CSV's coded columns can be used as axes (picker panel)
+// - Axes are reordered by dragging their headers in the figure's axis band
+// - The chosen sequence is mirrored into the URL (`axis=` per axis, in order)
+
+import * as d3 from "d3";
+import { AXES } from "./config.js";
+
+// Fewer than two axes leaves nothing to link
+export const MIN_AXES = 2;
+
+/**
+ * Columns that can be used as axes: everything except the ID/text columns.
+ */
+export function codedColumns(columns, { idColumn = "ID", textColumn = "Sentence" } = {}) {
+  return (columns || []).filter(c => c && c !== idColumn && c !== textColumn);
+}
+
+/**
+ * Keep only axes present in `columns`; fall back to config AXES (or the first
+ * coded columns) when fewer than MIN_AXES survive.
+ */
+export function resolveAxes(axes, columns) {
+  const valid = new Set(columns);
+  const picked = [...new Set((axes || []).filter(a => valid.has(a)))];
+  if (picked.length >= MIN_AXES) return picked;
+
+  const fallback = AXES.filter(a => valid.has(a));
+  if (fallback.length >= MIN_AXES) return fallback;
+  return columns.slice(0, Math.max(MIN_AXES, AXES.length));
+}
+
+export function moveAxis(axes, from, to) {
+  const next = axes.slice();
+  const [a] = next.splice(from, 1);
+  next.splice(Math.max(0, Math.min(next.length, to)), 0, a);
+  return next;
+}
+
+export function toggleAxis(axes, axis) {
+  if (axes.includes(axis)) {
+    return axes.length > MIN_AXES ? axes.filter(a => a !== axis) : axes;
+  }
+  return axes.concat([axis]);
+}
+
+// -----------------------------
+// URL serialisation (only written when different from config AXES)
+// -----------------------------
+export function axesToParams(axes, params = new URLSearchParams()) {
+  params.delete("axis");
+  const isDefault = axes.length === AXES.length && axes.every((a, i) => a === AXES[i]);
+  if (!isDefault) for (const a of axes) params.append("axis", a);
+  return params;
+}
+
+export function axesFromParams(params) {
+  const axes = params.getAll("axis");
+  return axes.length ? axes : AXES.slice();
+}
+
+// -----------------------------
+// Picker panel (HTML)
+// -----------------------------
+
+/**
+ * Checkbox list of coded columns; checked ones are the current axes, in order.
+ *
+ * @param {d3.Selection} host
+ * @param {Object} args
+ * @param {Array<string>} args.columns - coded columns available in the data
+ * @param {Array<string>} args.axes    - current axes (ordered)
+ * @param {(axes:Array<string>)=>void} args.onChange
+ */
+export function renderAxisPicker(host, { columns, axes, onChange }) {
+  host.selectAll("*").remove();
+
+  const details = host.append("details").attr("class", "axis-picker");
+  details.append("summary").text(`Axes (${axes.length})`);
+
+  const unused = columns.filter(c => !axes.includes(c));
+  const items = axes.concat(unused);
+
+  const list = details.append("ul").attr("class", "axis-picker-list");
+  for (const col of items) {
+    const on = axes.includes(col);
+    const li = list.append("li").classed("is-off", !on);
+    const label = li.append("label");
+    label.append("input")
+      .attr("type", "checkbox")
+      .property("checked", on)
+      .property("disabled", on && axes.length <= MIN_AXES)
+      .on("change", () => onChange(toggleAxis(axes, col)));
+    label.append("span").text(col);
+  }
+
+  details.append("p")
+    .attr("class", "axis-picker-hint")
+    .text("Drag axis titles in the figure to reorder.");
+}
+
+// -----------------------------
+// Drag-to-reorder in the figure
+// -----------------------------
+
+/**
+ * Make axis-band handles draggable horizontally.
+ * On drop, the axis is moved to the slot whose x is nearest the pointer.
+ *
+ * @param {Object} args
+ * @param {d3.Selection} args.handleSel - one element per axis (datum: axisInfo entry)
+ * @param {Array<number>} args.axisX    - x per axis position
+ * @param {(from:number, to:number)=>void} args.onReorder
+ */
+export function attachAxisDrag({ handleSel, axisX, onReorder }) {
+  const nearest = (x) => d3.minIndex(axisX, ax => Math.abs(ax - x));
+
+  const drag = d3.drag()
+    .subject((event, d) => ({ x: axisX[d.index], y: 0 }))
+    .on("start", function () {
+      d3.select(this).classed("is-dragging", true).raise();
+    })
+    .on("drag", function (event, d) {
+      d3.select(this).attr("transform", `translate(${event.x - axisX[d.index]},0)`);
+    })
+    .on("end", function (event, d) {
+      d3.select(this).classed("is-dragging", false).attr("transform", null);
+      const to = nearest(event.x);
+      if (to !== d.index) onReorder(d.index, to);
+    });
+
+  handleSel.style("cursor", "grab").call(drag);
+}
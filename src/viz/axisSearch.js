@@ -0,0 +1,324 @@
+// src/viz/axisSearch.js
+// Axis-order search: which sequence of axes makes the most readable map.
+// Only neighbouring axes are linked, so an order is scored pair by pair:
+// - crossings:   share of strand pairs that cross between neighbours, after
+//                crossing reduction (0 = none, 1 = every pair)
+// - association: Cramér's V between neighbours (strong pairs side by side)
+// - mix:         weighted blend of the two (AXIS_SEARCH.mix = weight on crossings)
+// Pair scores are tabulated once, every permutation is ranked from the table
+// (exhaustive up to AXIS_SEARCH.exhaustiveMax free axes, beam search beyond),
+// and the best candidates are re-scored on the full map, where one category
+// order has to serve both neighbours of an axis.
+// The search runs in slices (SLICE_MS), handing the page back in between to
+// show progress; an AbortSignal stops it.
+
+import * as d3 from "d3";
+import { AXIS_SEARCH, MULTI, ORDERING } from "./config.js";
+import { preprocess } from "./preprocess.js";
+import { pairwiseAssociation } from "./stats.js";
+
+const pairKey = (a, b) => (a < b ? `${a}\u0000${b}` : `${b}\u0000${a}`);
+
+const SLICE_MS = 30; // work between two yields to the page
+
+// Await `tick(step, done, total)` inside loops: every SLICE_MS it reports
+// progress, yields (setTimeout) and throws if `signal` was aborted
+function slicer(signal, onProgress) {
+  let last = Date.now();
+  return async (step, done, total) => {
+    if (Date.now() - last < SLICE_MS) return;
+    signal?.throwIfAborted();
+    onProgress?.({ step, done, total });
+    await new Promise(resolve => setTimeout(resolve, 0));
+    last = Date.now();
+  };
+}
+
+function factorial(n) {
+  let f = 1;
+  for (let i = 2; i <= n; i++) f *= i;
+  return f;
+}
+
+function weightOnCrossings(score, mix) {
+  if (score === "crossings") return 1;
+  if (score === "association") return 0;
+  return Math.max(0, Math.min(1, mix));
+}
+
+// Crossing rate and Cramér's V for every unordered axis pair
+async function pairTable(rows, axes, { multi, ordering, idColumn, textColumn }, tick) {
+  const table = new Map();
+  const pairs = pairwiseAssociation(rows, axes, { multi });
+  for (const [k, { axisA, axisB, cramersV }] of pairs.entries()) {
+    await tick("Scoring axis pairs", k, pairs.length);
+    const { links, ordering: stats } = preprocess(rows, {
+      axes: [axisA, axisB],
+      colorBy: axisA,
+      idColumn,
+      textColumn,
+      multi,
+      ordering,
+    });
+    const w = d3.sum(links, l => l.value) || 1;
+    table.set(pairKey(axisA, axisB), {
+      w,
+      crossRate: stats.after / (w * w / 2),
+      cramersV: Number.isFinite(cramersV) ? cramersV : 0,
+    });
+  }
+  return table;
+}
+
+// Keep the `size` lowest-cost candidates (sorted ascending)
+function boundedInsert(list, item, size) {
+  if (list.length >= size && item.cost >= list[list.length - 1].cost) return;
+  let i = list.length;
+  while (i > 0 && list[i - 1].cost > item.cost) i--;
+  list.splice(i, 0, item);
+  if (list.length > size) list.pop();
+}
+
+function* permutations(items) {
+  if (items.length <= 1) {
+    yield items.slice();
+    return;
+  }
+  for (let i = 0; i < items.length; i++) {
+    const rest = items.slice(0, i).concat(items.slice(i + 1));
+    for (const p of permutations(rest)) yield [items[i], ...p];
+  }
+}
+
+// Beam search: extend partial orders axis by axis, keeping the `width` cheapest
+function beamOrders(head, middle, tail, edgeCost, { width, keep }) {
+  let beam = [{ order: head.slice(), cost: 0 }];
+  for (let step = 0; step < middle.length; step++) {
+    const next = [];
+    for (const b of beam) {
+      for (const axis of middle) {
+        if (b.order.includes(axis)) continue;
+        const prev = b.order[b.order.length - 1];
+        const cost = b.cost + (prev ? edgeCost(prev, axis) : 0);
+        boundedInsert(next, { order: b.order.concat([axis]), cost }, width);
+      }
+    }
+    beam = next;
+  }
+  const out = [];
+  for (const b of beam) {
+    const order = b.order.concat(tail);
+    const last = b.order[b.order.length - 1];
+    boundedInsert(out, { order, cost: b.cost + (tail.length && last ? edgeCost(last, tail[0]) : 0) }, keep);
+  }
+  return out;
+}
+
+/**
+ * Rank axis orders (async: yields to the page between slices of work).
+ *
+ * @param {Array<Object>} rows
+ * @param {Array<string>} axes        - the axes to arrange (current order)
+ * @param {Object} [opts]
+ * @param {"crossings"|"association"|"mix"} [opts.score]
+ * @param {number} [opts.mix]         - weight on crossings for "mix" (0..1)
+ * @param {boolean} [opts.fixFirst]   - keep axes[0] first
+ * @param {boolean} [opts.fixLast]    - keep the last axis last
+ * @param {number} [opts.topK]        - orders returned
+ * @param {Object} [opts.multi]       - multi-code settings
+ * @param {Object} [opts.ordering]    - crossing-reduction settings (ORDERING)
+ * @param {(p:{step:string, done:number, total:number})=>void} [opts.onProgress]
+ * @param {AbortSignal} [opts.signal] - stops the search (the promise rejects)
+ * @returns {Promise<{ results: Array<{ axes: string[], cost: number, crossRate: number,
+ *             cramersV: number, crossings: number }>, candidates: number, exhaustive: boolean }>}
+ *          results: best first; cost = mix * crossRate + (1 - mix) * (1 - V),
+ *          crossRate / cramersV are means over neighbouring pairs
+ */
+export async function searchAxisOrders(rows, axes, {
+  score = AXIS_SEARCH.score,
+  mix = AXIS_SEARCH.mix,
+  fixFirst = AXIS_SEARCH.fixFirst,
+  fixLast = AXIS_SEARCH.fixLast,
+  topK = AXIS_SEARCH.topK,
+  multi = MULTI,
+  ordering = ORDERING,
+  idColumn,
+  textColumn,
+  onProgress = null,
+  signal = null,
+} = {}) {
+  signal?.throwIfAborted();
+  const tick = slicer(signal, onProgress);
+  const lambda = weightOnCrossings(score, mix);
+  const table = await pairTable(rows, axes, { multi, ordering, idColumn, textColumn }, tick);
+  const edge = (a, b) => table.get(pairKey(a, b));
+  const edgeCost = (a, b) => {
+    const e = edge(a, b);
+    return lambda * e.crossRate + (1 - lambda) * (1 - e.cramersV);
+  };
+
+  const head = fixFirst && axes.length > 1 ? [axes[0]] : [];
+  const tail = fixLast && axes.length > 2 ? [axes[axes.length - 1]] : [];
+  const middle = axes.filter(a => !head.includes(a) && !tail.includes(a));
+  const keep = Math.max(topK, AXIS_SEARCH.rescore);
+
+  // 1) Rank every order from the pair table
+  const exhaustive = middle.length <= AXIS_SEARCH.exhaustiveMax;
+  let ranked = [];
+  let candidates = 0;
+  if (exhaustive) {
+    const total = factorial(middle.length);
+    for (const p of permutations(middle)) {
+      await tick("Ranking orders", candidates, total);
+      const order = head.concat(p, tail);
+      let cost = 0;
+      for (let i = 0; i + 1 < order.length; i++) cost += edgeCost(order[i], order[i + 1]);
+      boundedInsert(ranked, { order, cost }, keep);
+      candidates++;
+    }
+  } else {
+    ranked = beamOrders(head, middle, tail, edgeCost, { width: AXIS_SEARCH.beamWidth, keep });
+    candidates = ranked.length;
+  }
+
+  // 2) Re-score the shortlist on the full map (shared category orders)
+  const nPairs = Math.max(1, axes.length - 1);
+  const results = [];
+  for (const [k, { order }] of ranked.entries()) {
+    await tick("Re-scoring on the full map", k, ranked.length);
+    const { ordering: stats } = preprocess(rows, {
+      axes: order,
+      colorBy: order[0],
+      idColumn,
+      textColumn,
+      multi,
+      ordering,
+    });
+    let crossRate = 0;
+    let cramersV = 0;
+    stats.pairs.forEach((p, i) => {
+      const e = edge(order[i], order[i + 1]);
+      crossRate += p.after / (e.w * e.w / 2);
+      cramersV += e.cramersV;
+    });
+    crossRate /= nPairs;
+    cramersV /= nPairs;
+    results.push({
+      axes: order,
+      cost: lambda * crossRate + (1 - lambda) * (1 - cramersV),
+      crossRate,
+      cramersV,
+      crossings: stats.after,
+    });
+  }
+
+  results.sort((a, b) => a.cost - b.cost);
+  return { results: results.slice(0, topK), candidates, exhaustive };
+}
+
+// -----------------------------
+// Panel (HTML)
+// -----------------------------
+
+const SCORE_LABELS = { crossings: "fewest crossings", association: "strongest neighbours", mix: "mix" };
+
+/**
+ * "Suggest axis order" panel: search options, then the top-k orders; clicking
+ * one previews it in the figure, "Back" restores the order the search started from.
+ *
+ * @param {d3.Selection} host
+ * @param {Object} args
+ * @param {Object} args.options      - { score, mix, fixFirst, fixLast, topK }
+ * @param {Object|null} args.found   - searchAxisOrders() result with `from` (axes searched), or null
+ * @param {Object|null} [args.running] - search in progress: { progress: {step, done, total} | null }
+ * @param {Array<string>} args.axes  - axes currently shown
+ * @param {(options:Object)=>void} args.onOptions
+ * @param {()=>void} args.onSearch
+ * @param {()=>void} args.onCancel
+ * @param {(axes:Array<string>)=>void} args.onPick
+ */
+export function renderAxisSearch(host, { options, found, running = null, axes, onOptions, onSearch, onCancel, onPick }) {
+  const wasOpen = host.select("details.axis-search").node()?.open ?? false;
+  host.selectAll("*").remove();
+
+  const details = host.append("details")
+    .attr("class", "axis-search")
+    .property("open", wasOpen || !!found);
+  details.append("summary").text("Suggest axis order");
+
+  const form = details.append("div").attr("class", "axis-search-options");
+  const scoreSel = form.append("label").text("Score ").append("select")
+    .on("change", function () { onOptions({ ...options, score: this.value }); });
+  scoreSel.selectAll("option")
+    .data(Object.keys(SCORE_LABELS))
+    .join("option")
+    .attr("value", d => d)
+    .property("selected", d => d === options.score)
+    .text(d => SCORE_LABELS[d]);
+
+  if (options.score === "mix") {
+    const mixLabel = form.append("label").text("Crossings weight ");
+    mixLabel.append("input")
+      .attr("type", "range")
+      .attr("min", 0)
+      .attr("max", 1)
+      .attr("step", 0.1)
+      .property("value", options.mix)
+      .on("change", function () { onOptions({ ...options, mix: +this.value }); });
+  }
+
+  for (const [key, text] of [["fixFirst", "Keep first axis"], ["fixLast", "Keep last axis"]]) {
+    const label = form.append("label");
+    label.append("input")
+      .attr("type", "checkbox")
+      .property("checked", !!options[key])
+      .on("change", function () { onOptions({ ...options, [key]: this.checked }); });
+    label.append("span").text(` ${text}`);
+  }
+
+  form.append("button")
+    .attr("type", "button")
+    .property("disabled", !!running)
+    .text(running ? "Searching…" : "Search")
+    .on("click", onSearch);
+
+  if (running) {
+    const status = details.append("p").attr("class", "axis-search-progress");
+    const p = running.progress;
+    status.append("progress")
+      .attr("max", p?.total || 1)
+      .attr("value", p ? p.done : null);
+    status.append("span").text(p ? ` ${p.step} (${p.done.toLocaleString()} / ${p.total.toLocaleString()}) ` : " Starting… ");
+    status.append("button")
+      .attr("type", "button")
+      .text("Cancel")
+      .on("click", onCancel);
+    return;
+  }
+
+  if (!found) return;
+
+  details.append("p")
+    .attr("class", "axis-search-note")
+    .text(`${found.candidates} order${found.candidates === 1 ? "" : "s"} ranked${found.exhaustive ? "" : " (beam search)"}; best ${found.results.length}:`);
+
+  const same = (a, b) => a.length === b.length && a.every((x, i) => x === b[i]);
+  const list = details.append("ol").attr("class", "axis-search-results");
+  for (const r of found.results) {
+    const li = list.append("li").classed("is-current", same(r.axes, axes));
+    li.append("button")
+      .attr("type", "button")
+      .text(r.axes.join(" → "))
+      .on("click", () => onPick(r.axes));
+    li.append("span")
+      .attr("class", "axis-search-score")
+      .text(`crossings ${(r.crossRate * 100).toFixed(1)}% · V ${r.cramersV.toFixed(2)}`);
+  }
+
+  if (!same(found.from, axes)) {
+    details.append("button")
+      .attr("type", "button")
+      .text("Back to previous order")
+      .on("click", () => onPick(found.from));
+  }
+}
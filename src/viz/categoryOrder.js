@@ -0,0 +1,186 @@
+// src/viz/categoryOrder.js
+// Manual category orders: editorial control on top of crossing reduction.
+// - Category nodes are dragged up/down their axis in the figure
+// - An axis' order, once set, is a constraint for reduceCrossings (ordering.js):
+//   its categories keep that relative order, categories new to the data are
+//   still placed by the strategy
+// - Orders are saved per dataset (localStorage) and can be exported / imported
+//   as JSON ({ "<axis>": ["<label>", ..] }); the same object works as
+//   `categoryOrders` in a render-figure.js config
+
+import * as d3 from "d3";
+import { ORDERING } from "./config.js";
+import { displayName } from "./codebook.js";
+import { MISSING_LABEL } from "./preprocess.js";
+import { renderFileButton } from "./loader.js";
+
+/** `order` with `label` moved to index `to`. */
+export function moveCategory(order, label, to) {
+  const next = order.filter(l => l !== label);
+  next.splice(Math.max(0, Math.min(next.length, to)), 0, label);
+  return next;
+}
+
+/**
+ * Check a parsed orders object.
+ * @throws {Error} unless it maps axis names to arrays of labels
+ */
+export function validateCategoryOrders(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    throw new Error("Category orders map axis names to lists of categories.");
+  }
+  const out = {};
+  for (const [axis, labels] of Object.entries(raw)) {
+    if (!Array.isArray(labels) || labels.some(l => typeof l !== "string")) {
+      throw new Error(`Category order for "${axis}": expected a list of category names.`);
+    }
+    if (labels.length) out[axis] = [...new Set(labels)];
+  }
+  return out;
+}
+
+export function categoryOrdersToJSON(orders) {
+  return `${JSON.stringify(orders, null, 2)}\n`;
+}
+
+// -----------------------------
+// Per-dataset storage (localStorage)
+// -----------------------------
+
+function storageKey(datasetName) {
+  return `${ORDERING.storageKey}:${datasetName}`;
+}
+
+/** @returns {Object} { [axis]: [label] } ({} when nothing saved) */
+export function loadCategoryOrders(datasetName) {
+  try {
+    return validateCategoryOrders(JSON.parse(window.localStorage.getItem(storageKey(datasetName))) ?? {});
+  } catch {
+    return {}; // no storage (private mode, headless) or unreadable entry
+  }
+}
+
+export function saveCategoryOrders(datasetName, orders) {
+  try {
+    if (!Object.keys(orders).length) window.localStorage.removeItem(storageKey(datasetName));
+    else window.localStorage.setItem(storageKey(datasetName), JSON.stringify(orders));
+  } catch (err) {
+    console.warn("Could not save category orders:", err);
+  }
+}
+
+// -----------------------------
+// Drag in the figure
+// -----------------------------
+
+/**
+ * Make category nodes draggable along their axis.
+ * On drop, the category moves to the slot nearest the pointer and
+ * `onReorder(axis, order)` receives the axis' new order. Missing (kept last)
+ * and the folded "Other" node (SMALL.otherBelow) are not draggable and not part
+ * of the order, which only lists real categories.
+ *
+ * @param {Object} args
+ * @param {d3.Selection} args.nodeSel   - node groups (datum: node with axis, label, y0, y1)
+ * @param {Array<Object>} args.nodes    - every node drawn (layout order)
+ * @param {(axis:string, order:Array<string>)=>void} args.onReorder
+ */
+export function attachCategoryDrag({ nodeSel, nodes, onReorder }) {
+  const mid = n => (n.y0 + n.y1) / 2;
+  const pinned = n => n.label === MISSING_LABEL || !!n.members;
+  const axisNodes = axis => nodes
+    .filter(n => n.axis === axis && !pinned(n))
+    .sort((a, b) => a.order - b.order);
+
+  const drag = d3.drag()
+    .filter((event, d) => !pinned(d) && !event.button)
+    .subject((event, d) => ({ x: 0, y: mid(d) }))
+    .on("start", function () {
+      d3.select(this).classed("is-dragging", true).raise();
+    })
+    .on("drag", function (event, d) {
+      d3.select(this).attr("transform", `translate(0,${event.y - mid(d)})`);
+    })
+    .on("end", function (event, d) {
+      d3.select(this).classed("is-dragging", false).attr("transform", null);
+      const siblings = axisNodes(d.axis);
+      const others = siblings.filter(n => n !== d);
+      const to = others.filter(n => mid(n) < event.y).length;
+      const order = moveCategory(siblings.map(n => n.label), d.label, to);
+      if (order.some((l, i) => l !== siblings[i].label)) onReorder(d.axis, order);
+    });
+
+  // Pinned nodes keep their click cursor (filter / expand "Other")
+  nodeSel.call(drag).filter(d => !pinned(d)).style("cursor", "grab");
+}
+
+// -----------------------------
+// Panel (HTML)
+// -----------------------------
+
+/**
+ * Manual orders in use: one row per axis (reset ×), plus JSON export / import.
+ *
+ * @param {d3.Selection} host
+ * @param {Object} args
+ * @param {Object} args.orders                     - { [axis]: [label] }
+ * @param {(orders:Object)=>void} args.onChange
+ * @param {()=>void} args.onExport
+ * @param {(file:File)=>void} args.onImport
+ * @param {string|null} [args.error] - a failed import (the panel opens to show it)
+ */
+export function renderOrderPanel(host, { orders, onChange, onExport, onImport, error = null }) {
+  const wasOpen = (host.select("details.order-panel").node()?.open ?? false) || !!error;
+  host.selectAll("*").remove();
+
+  const axes = Object.keys(orders);
+  const details = host.append("details")
+    .attr("class", "order-panel")
+    .property("open", wasOpen); // redrawn on every update
+  details.append("summary")
+    .text(`Manual order${axes.length ? ` (${axes.length} ax${axes.length === 1 ? "is" : "es"})` : ""}`);
+
+  if (axes.length) {
+    const list = details.append("ul");
+    for (const axis of axes) {
+      const li = list.append("li");
+      li.append("span").attr("class", "order-axis").text(axis);
+      li.append("span")
+        .attr("class", "order-labels")
+        .text(orders[axis].map(l => displayName(axis, l)).join(" · "));
+      li.append("button")
+        .attr("type", "button")
+        .attr("class", "order-reset")
+        .attr("aria-label", `Reset order of ${axis}`)
+        .text("×")
+        .on("click", () => {
+          const { [axis]: _, ...rest } = orders;
+          onChange(rest);
+        });
+    }
+  } else {
+    details.append("p")
+      .attr("class", "order-hint")
+      .text("Drag categories up or down an axis in the figure to fix their order.");
+  }
+
+  const actions = details.append("div").attr("class", "order-actions");
+  actions.append("button")
+    .attr("type", "button")
+    .text("Export JSON")
+    .property("disabled", !axes.length)
+    .on("click", onExport);
+  renderFileButton(actions, {
+    onFile: onImport,
+    label: "Import JSON…",
+    className: "order-import",
+    accept: ".json,application/json",
+  });
+  if (axes.length) {
+    actions.append("button")
+      .attr("type", "button")
+      .text("Reset all")
+      .on("click", () => onChange({}));
+  }
+  if (error) details.append("p").attr("class", "load-error").text(error);
+}
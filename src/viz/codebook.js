@@ -0,0 +1,128 @@
+// src/viz/codebook.js
+// Codebook: per axis, the canonical categories and how raw codes map onto them.
+//
+//   { "<axis>": { "<id>": { "name", "short", "description", "color", "aliases": [..] } } }
+//
+// - preprocess maps every cell onto a canonical id (id or alias; case and
+//   whitespace insensitive), so renamed codes from earlier rounds line up
+// - names / short names / descriptions are what the figure and panels show
+// - colours feed the "default" palette
+// Code names are edited in the codebook file (DATA.codebookPath, JSON or YAML),
+// not in the renderer. Without a codebook, labels are shown as coded.
+
+let active = null; // compiled codebook in use (setCodebook)
+
+function lookupKey(s) {
+  return String(s ?? "").trim().replace(/\s+/g, " ").toLowerCase();
+}
+
+/**
+ * Check and index a parsed codebook.
+ * @throws {Error} on entries that are not objects or aliases claimed twice
+ */
+export function compileCodebook(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    throw new Error("A codebook maps axis names to { id: entry } objects.");
+  }
+
+  const axes = new Map();
+  for (const [axis, codes] of Object.entries(raw)) {
+    if (!codes || typeof codes !== "object" || Array.isArray(codes)) {
+      throw new Error(`Codebook axis "${axis}": expected { id: entry }.`);
+    }
+    const entries = new Map();
+    const lookup = new Map();
+
+    for (const [id, entry] of Object.entries(codes)) {
+      const e = entry ?? {};
+      if (typeof e !== "object" || Array.isArray(e)) {
+        throw new Error(`Codebook ${axis} / ${id}: entry must be an object.`);
+      }
+      entries.set(id, {
+        id,
+        name: e.name ?? id,
+        short: e.short ?? e.name ?? id,
+        description: e.description ?? "",
+        color: e.color ?? null,
+        aliases: [].concat(e.aliases ?? []).map(String),
+      });
+      for (const key of [id, ...entries.get(id).aliases]) {
+        const k = lookupKey(key);
+        if (lookup.has(k) && lookup.get(k) !== id) {
+          throw new Error(`Codebook ${axis}: "${key}" maps to both ${lookup.get(k)} and ${id}.`);
+        }
+        lookup.set(k, id);
+      }
+    }
+    axes.set(axis, { entries, lookup });
+  }
+  return { axes };
+}
+
+/**
+ * Parse codebook text (JSON, or YAML for .yaml/.yml files).
+ * The YAML parser is loaded on first use.
+ */
+export async function parseCodebook(text, filename = "") {
+  if (/\.ya?ml$/i.test(filename)) {
+    const { parse } = await import("yaml");
+    return parse(text);
+  }
+  return JSON.parse(text);
+}
+
+export async function fetchCodebook(path) {
+  const res = await fetch(path);
+  if (!res.ok) throw new Error(`${res.status} ${res.statusText}`);
+  return parseCodebook(await res.text(), path);
+}
+
+/** Use `raw` (parsed codebook, or null for none) from now on. */
+export function setCodebook(raw) {
+  active = raw ? compileCodebook(raw) : null;
+}
+
+export function hasCodebook() {
+  return active !== null;
+}
+
+// -----------------------------
+// Lookups (all fall back to the label itself)
+// -----------------------------
+
+/** Canonical id for a (trimmed) raw code; unknown codes pass through unchanged. */
+export function canonicalLabel(axis, label) {
+  return active?.axes.get(axis)?.lookup.get(lookupKey(label)) ?? label;
+}
+
+/** Codebook entry for a canonical id (null when not in the codebook). */
+export function codeInfo(axis, id) {
+  return active?.axes.get(axis)?.entries.get(id) ?? null;
+}
+
+export function displayName(axis, id) {
+  return codeInfo(axis, id)?.name ?? id;
+}
+
+export function shortName(axis, id) {
+  return codeInfo(axis, id)?.short ?? id;
+}
+
+/** Axes the codebook covers, each with its canonical ids. */
+export function codebookIds() {
+  const out = {};
+  for (const [axis, { entries }] of active?.axes ?? []) out[axis] = [...entries.keys()];
+  return out;
+}
+
+/** Configured colours: { [axis]: { [id]: colour } }. */
+export function codebookColors() {
+  const out = {};
+  for (const [axis, { entries }] of active?.axes ?? []) {
+    for (const [id, e] of entries) {
+      if (!e.color) continue;
+      (out[axis] ??= {})[id] = e.color;
+    }
+  }
+  return out;
+}
@@ -37,38 +37,29 @@ export const FIG = {
   nodePadding: 6,
 };
 
-// Keep affect colours available (for optional colorBy="Affective Aim")
-export const COLORS = {
-  "Aliveness": "#5E8C61",
-  "Curiosity / Gentle Fascination": "#9DA44E",
-  "Playfulness / Light Delight": "#D1A24C",
-  "Calm": "#6C8FA3",
-  "Mental Reset": "#5E9EA0",
-  "Comfort / Safety": "#8A9BA8",
-  "Empathy": "#C07A5A",
-  "Authenticity / Groundedness": "#8B6F47",
-  "Socialness": "#8C6A8D",
-};
-
-// Bright, distinct cluster colours (DC1–DC6)
-// NOTE: preprocess normalises C0..C5 -> DC1..DC6
-export const CLUSTER_COLORS = {
-  DC1: "#1b9e77", // blue
-  DC2: "#d95f02", // red
-  DC3: "#7570b3", // green
-  DC4: "#e7298a", // yellow
-  DC5: "#66a61e", // purple
-  DC6: "#e6ab02", // orange
+// Palette system (see palette.js): the codebook colours are the "default" palette;
+// categories without one get an automatic colour instead of grey
+export const PALETTE = {
+  palette: "default",        // "default" | "okabe-ito" | "viridis" | "greyscale"
+  missing: "#9aa4b2",        // blank cells ("Missing")
+  storageKey: "biophilic-design-space.colors", // + ":<dataset name>" (per-dataset overrides)
 };
 
 export const RIBBON = {
   opacity: 0.35,
   opacityHover: 0.85,
   opacityDim: 0.08,
+
+  // Alluvial: stack one sub-ribbon per colour key (byCluster share) instead of
+  // filling the whole ribbon with the dominant key
+  split: false,
 };
 
 // Typography (paper-first; tuned for sidewaysfigure)
 export const TYPE = {
+  // Same stack as the page, so exports and headless renders match the screen
+  fontFamily: "system-ui, -apple-system, Segoe UI, Roboto, sans-serif",
+
   // Figure header
   titleSize: 48,
   subtitleSize: 34,
@@ -85,13 +76,132 @@ export const TYPE = {
 export const LABELS = {
   nodeTextDx: 1,
   rightLabelPad: 18,
+
+  // Placement pass (labels.js)
+  avoidCollisions: true,     // spread overlapping labels; leader lines back to the node
+  gap: 4,                    // px between label blocks on one axis
+  maxLines: 2,               // name lines before the short name / ellipsis is used
+  columnGap: 60,             // px kept clear before the next axis
+  leaderMin: 3,              // px a label must move before it gets a leader line
 };
 
 // Render settings (flip these without touching render.js)
 export const RENDER = {
-  mode: "parallel",          // "parallel" | "alluvial"
-  colorBy: "Design-Concept" // "Concept Cluster" | "Affective Aim"
+  mode: "parallel",          // "parallel" | "alluvial" | "heatmap"
+  colorBy: "Design-Concept" // any axis shown, e.g. "Affective Aim" (else this, else the first axis)
+};
+
+// Marginal dot strips (category totals beside each axis)
+export const MARGINALS = {
+  dots: false,
+  axes: null,                // null = every axis shown, or e.g. ["Sensory Modality", "Affective Aim"]
+  rMin: 2,
+  rMax: 18,                  // one scale across axes, so sizes compare
+  gap: 12,                   // px between node and dot edge
+};
+
+// Colour / line-width legend (top-left corner, beside the title)
+export const LEGEND = {
+  legend: true,              // off for print layouts that carry the key in the caption
+  minFontSize: 11,           // type shrinks to this before the legend gives up fitting
+};
+
+// Category order on each axis (crossing reduction, ordering.js)
+export const ORDERING = {
+  method: "barycentric",     // strategy: "barycentric" | "median" | "greedy" | "exact"
+  refine: false,             // greedy adjacent swaps against both neighbours after the sweeps
+  iterations: 6,             // forward + backward sweeps
+  exactMax: 10,              // "exact" solves axes up to this many categories (at most 16; larger: greedy)
+  lockedAxes: ["Design-Concept"],
+  pinned: {},                // e.g. { "Sensory Modality": { "Sight": 0 } } (negative = from the end)
+  manual: {},                // fixed relative orders, e.g. { "Sensory Modality": ["Sight", "Sound", "Touch"] }
+  storageKey: "biophilic-design-space.order", // dragged orders, saved per dataset
+};
+
+// Axis-order search ("Suggest axis order", axisSearch.js)
+export const AXIS_SEARCH = {
+  score: "mix",              // "crossings" | "association" (Cramér's V of neighbours) | "mix"
+  mix: 0.5,                  // weight on crossings in "mix"
+  fixFirst: true,            // keep the first axis (Design-Concept) in place
+  fixLast: true,             // keep the last axis (Affective Aim) in place
+  topK: 5,                   // orders offered for preview
+  rescore: 20,               // shortlist re-scored on the full map
+  exhaustiveMax: 9,          // free axes up to which every permutation is ranked
+  beamWidth: 200,            // beyond that: beam search keeping this many partial orders
+};
+
+// Screen view (zoom.js): zoom / pan, minimap, fisheye focus. Exports ignore it.
+export const ZOOM = {
+  maxScale: 8,               // zoom-in limit (1 = whole figure fits the pane)
+  minFontPx: 11,             // text is never drawn smaller than this on screen
+  minimapWidth: 220,         // px; shown while zoomed in
+  focusSpread: 3,            // fisheye: the focused axis' gaps are this many times wider
+};
+
+// Layout profiles (profile.js). "print" is FIG + TYPE as above (exports, CLI);
+// "screen" sizes the figure from its pane and scales FIG / TYPE down to fit
+export const SCREEN = {
+  layout: "screen",          // page figure: "screen" | "print" (exports are always print)
+  orientation: "auto",       // "auto" | "horizontal" | "vertical" (axes as rows)
+  verticalBelow: 720,        // "auto": pane widths (px) below this go vertical
+  minWidth: 320,             // px; narrower panes are drawn at this width
+  minHeight: 420,            // px
+  rowHeight: 150,            // vertical: min px per axis row (the page scrolls beyond)
+  legendBand: 64,            // vertical: px under the title kept for the legend
 };
+
+// Small categories (parallel / alluvial)
+export const SMALL = {
+  minNodeHeight: 0,          // px; 0 = strictly proportional. Other nodes shrink to keep each axis' height
+  otherBelow: 0,             // fold categories with fewer instances into one node per axis (0 = off)
+  otherLabel: "Other",       // the folded node; click it to expand the axis again
+};
+
+// Co-occurrence heatmap (mode "heatmap"): any two axes, not just adjacent ones
+export const HEATMAP = {
+  rowAxis: "Design-Concept",
+  colAxis: "Affective Aim",
+  metric: "residual",        // "count" | "residual" (adjusted standardized residual)
+  maxCell: 150,              // px; cells are square
+  residualDomain: 4,         // |residual| at full colour saturation (at least)
+};
+// Default dataset (fetched on start-up; others can be opened/dropped in the page)
+export const DATA = {
+  path: "/data/cleaned.csv",
+  idColumn: "ID",
+  textColumn: "Sentence",
+  // Baseline offered by the comparison view (previous coding round)
+  comparePath: "/data/cleaned-old.csv",
+  // Legacy headers renamed on load
+  columnAliases: { "Concept Cluster": "Design-Concept" },
+  // Code names, aliases (e.g. legacy C0..C5 -> DC1..DC6) and colours; JSON or YAML
+  codebookPath: "/data/codebook.json",
+};
+
+// Quote inspector (click a node/strand/ribbon)
+export const INSPECTOR = {
+  pageSize: 10,
+};
+
+// Multi-coded cells (one instance coded with several categories on an axis)
+export const MULTI = {
+  delimiter: null,           // e.g. ";" or "|" (null = every cell is a single label)
+  strategy: "fractional",    // "fractional" | "duplicate" | "first"
+  maxPaths: 64,              // strands per instance at most (label combinations across axes)
+};
+
+// Click-to-filter brushing
+export const FILTER = {
+  mode: "fade",              // "fade" (dim non-matching) | "subset" (re-layout matching rows only)
+};
+
+// Figure export (SVG / PNG / PDF buttons)
+export const EXPORT = {
+  basename: "biophilic-design-space",
+  dpi: 300,                  // PNG resolution (CSS px are 96 dpi)
+  dpiOptions: [96, 150, 300, 600],
+};
+
 // Parallel styling
 export const PARALLEL = {
   blendMode: "normal",
@@ -0,0 +1,232 @@
+// src/viz/controls.js
+// Runtime control panel for the RENDER / PARALLEL / RIBBON / MULTI / HEATMAP /
+// MARGINALS / LEGEND / PALETTE / SMALL / ORDERING / SCREEN settings in config.js.
+// - Every control re-renders the figure live
+// - Settings (plus axes and the active filter) are mirrored into the URL query string,
+//   so a copied link reopens exactly the same view
+// - Only values that differ from config.js are written, keeping links short
+
+import { RENDER, PARALLEL, RIBBON, MULTI, HEATMAP, MARGINALS, LEGEND, PALETTE, SMALL, ORDERING, SCREEN } from "./config.js";
+import { PALETTES } from "./palette.js";
+import { ORDERING_STRATEGIES } from "./ordering.js";
+import { filterFromParams, filterToParams } from "./filter.js";
+import { axesFromParams, axesToParams } from "./axes.js";
+
+const PALETTE_LABELS = Object.fromEntries(Object.entries(PALETTES).map(([k, p]) => [k, p.label]));
+
+/**
+ * One entry per control.
+ * `section` + `key` address the setting (settings[section][key]);
+ * `key` doubles as the URL query parameter.
+ * `options: "axes"` lists the axes currently shown (passed to renderControls).
+ */
+export const CONTROL_SCHEMA = [
+  { section: "render", key: "mode", label: "Mode", type: "select", options: ["parallel", "alluvial", "heatmap"] },
+  { section: "render", key: "colorBy", label: "Colour by", type: "select", options: "axes", modes: ["parallel", "alluvial"] },
+  { section: "palette", key: "palette", label: "Palette", type: "select", options: Object.keys(PALETTES), optionLabels: PALETTE_LABELS, modes: ["parallel", "alluvial"] },
+
+  { section: "parallel", key: "strokeOpacity", label: "Stroke opacity", type: "range", min: 0.02, max: 1, step: 0.01, modes: ["parallel"] },
+  { section: "parallel", key: "strokeWidth", label: "Stroke width", type: "range", min: 0.2, max: 4, step: 0.1, modes: ["parallel"] },
+  { section: "parallel", key: "curveAlpha", label: "Curve alpha", type: "range", min: 0, max: 1, step: 0.05, modes: ["parallel"] },
+  { section: "parallel", key: "jitterR", label: "Jitter", type: "range", min: 0, max: 20, step: 1, modes: ["parallel"] },
+  { section: "parallel", key: "aimLanes", label: "Aim lanes", type: "checkbox", modes: ["parallel"] },
+  { section: "parallel", key: "glow", label: "Glow", type: "checkbox", modes: ["parallel"] },
+
+  { section: "ribbon", key: "split", label: "Split ribbons", type: "checkbox", modes: ["alluvial"] },
+
+  { section: "marginals", key: "dots", label: "Dot strips", type: "checkbox", modes: ["parallel", "alluvial"] },
+  { section: "legend", key: "legend", label: "Legend", type: "checkbox", modes: ["parallel", "alluvial"] },
+
+  { section: "screen", key: "layout", label: "Layout", type: "select", options: ["screen", "print"], optionLabels: { screen: "fit screen", print: "print size" } },
+  { section: "screen", key: "orientation", label: "Orientation", type: "select", options: ["auto", "horizontal", "vertical"], optionLabels: { vertical: "vertical (axes as rows)" }, modes: ["parallel", "alluvial"] },
+
+  { section: "ordering", key: "method", label: "Ordering", type: "select", options: Object.keys(ORDERING_STRATEGIES) },
+  { section: "ordering", key: "refine", label: "Refine by swaps", type: "checkbox" },
+
+  { section: "small", key: "minNodeHeight", label: "Min node height", type: "range", min: 0, max: 40, step: 1, modes: ["parallel", "alluvial"] },
+  { section: "small", key: "otherBelow", label: "Fold categories below", type: "range", min: 0, max: 20, step: 1, modes: ["parallel", "alluvial"] },
+
+  { section: "heatmap", key: "rowAxis", label: "Rows", type: "select", options: "axes", modes: ["heatmap"] },
+  { section: "heatmap", key: "colAxis", label: "Columns", type: "select", options: "axes", modes: ["heatmap"] },
+  { section: "heatmap", key: "metric", label: "Cell colour", type: "select", options: ["count", "residual"], optionLabels: { residual: "std. residual" }, modes: ["heatmap"] },
+
+  { section: "multi", key: "delimiter", label: "Multi-code delimiter", type: "select", options: ["", ";", "|", ","], optionLabels: { "": "none" } },
+  { section: "multi", key: "strategy", label: "Multi-code strategy", type: "select", options: ["fractional", "duplicate", "first"] },
+];
+
+const SECTION_DEFAULTS = {
+  render: RENDER,
+  parallel: PARALLEL,
+  ribbon: RIBBON,
+  multi: MULTI,
+  heatmap: HEATMAP,
+  marginals: MARGINALS,
+  legend: LEGEND,
+  palette: PALETTE,
+  small: SMALL,
+  ordering: ORDERING,
+  screen: SCREEN,
+};
+
+export function defaultSettings() {
+  const settings = {};
+  for (const c of CONTROL_SCHEMA) {
+    settings[c.section] ??= {};
+    settings[c.section][c.key] = SECTION_DEFAULTS[c.section]?.[c.key];
+  }
+  return settings;
+}
+
+function parseValue(control, raw) {
+  if (raw == null) return undefined;
+
+  if (control.type === "select") {
+    // Axis names are checked against the data by the caller
+    if (control.options === "axes") return raw;
+    return control.options.includes(raw) ? raw : undefined;
+  }
+  if (control.type === "checkbox") {
+    if (raw === "1" || raw === "true") return true;
+    if (raw === "0" || raw === "false") return false;
+    return undefined;
+  }
+  if (control.type === "range") {
+    const v = Number(raw);
+    if (!Number.isFinite(v)) return undefined;
+    return Math.max(control.min, Math.min(control.max, v));
+  }
+  return undefined;
+}
+
+function formatValue(control, v) {
+  if (control.type === "checkbox") return v ? "1" : "0";
+  return String(v);
+}
+
+export function settingsFromParams(params) {
+  const settings = defaultSettings();
+  for (const c of CONTROL_SCHEMA) {
+    const v = parseValue(c, params.get(c.key));
+    if (v !== undefined) settings[c.section][c.key] = v;
+  }
+  return settings;
+}
+
+export function settingsToParams(settings, params = new URLSearchParams()) {
+  const defaults = defaultSettings();
+  for (const c of CONTROL_SCHEMA) {
+    const v = settings[c.section]?.[c.key];
+    // null and "" both mean "unset" (e.g. no multi-code delimiter)
+    if (v === undefined || (v ?? "") === (defaults[c.section][c.key] ?? "")) params.delete(c.key);
+    else params.set(c.key, formatValue(c, v));
+  }
+  return params;
+}
+
+// -----------------------------
+// URL <-> view state
+// -----------------------------
+export function readViewFromURL() {
+  const params = new URLSearchParams(window.location.search);
+  return {
+    settings: settingsFromParams(params),
+    axes: axesFromParams(params),
+    filter: filterFromParams(params),
+  };
+}
+
+export function writeViewToURL({ settings, axes, filter }) {
+  const params = new URLSearchParams(window.location.search);
+  settingsToParams(settings, params);
+  axesToParams(axes, params);
+  filterToParams(filter, params);
+
+  const qs = params.toString();
+  const url = `${window.location.pathname}${qs ? `?${qs}` : ""}${window.location.hash}`;
+  window.history.replaceState(null, "", url);
+}
+
+// -----------------------------
+// Panel
+// -----------------------------
+
+/**
+ * Render the control panel into `host` (HTML).
+ * Callers should only re-render it when `mode` changes (to toggle the
+ * mode-specific controls); re-rendering mid-drag would drop the slider.
+ *
+ * @param {d3.Selection} host
+ * @param {Object} settings - { render, parallel, ribbon, multi, heatmap, marginals, legend, palette, small, ordering, screen } sections
+ * @param {Object} handlers
+ * @param {(section:string, key:string, value:any)=>void} handlers.onChange
+ * @param {Array<string>} [handlers.axes] - options for axis-valued controls
+ */
+export function renderControls(host, settings, { onChange, axes = [] }) {
+  host.selectAll("*").remove();
+
+  const mode = settings.render?.mode;
+
+  for (const c of CONTROL_SCHEMA) {
+    const value = settings[c.section]?.[c.key];
+    const disabled = !!c.modes && !c.modes.includes(mode);
+
+    const field = host.append("label")
+      .attr("class", `control control-${c.type}`)
+      .classed("is-disabled", disabled);
+
+    field.append("span").attr("class", "control-label").text(c.label);
+
+    if (c.type === "select") {
+      const sel = field.append("select")
+        .property("disabled", disabled)
+        .on("change", function () { onChange(c.section, c.key, this.value); });
+      sel.selectAll("option")
+        .data(c.options === "axes" ? axes : c.options)
+        .join("option")
+        .attr("value", d => d)
+        .property("selected", d => d === (value ?? ""))
+        .text(d => c.optionLabels?.[d] ?? d);
+    } else if (c.type === "checkbox") {
+      field.append("input")
+        .attr("type", "checkbox")
+        .property("checked", !!value)
+        .property("disabled", disabled)
+        .on("change", function () { onChange(c.section, c.key, this.checked); });
+    } else if (c.type === "range") {
+      const out = field.append("output").text(value);
+      field.append("input")
+        .attr("type", "range")
+        .attr("min", c.min)
+        .attr("max", c.max)
+        .attr("step", c.step)
+        .property("value", value)
+        .property("disabled", disabled)
+        // Live readout while dragging; the figure is redrawn on release
+        .on("input", function () { out.text(this.value); })
+        .on("change", function () { onChange(c.section, c.key, Number(this.value)); });
+    }
+  }
+
+  host.append("button")
+    .attr("type", "button")
+    .attr("class", "control-copy-link")
+    .text("Copy link")
+    .on("click", function () {
+      const btn = this;
+      const done = text => {
+        btn.textContent = text;
+        setTimeout(() => { btn.textContent = "Copy link"; }, 1200);
+      };
+      if (!navigator.clipboard) {
+        done("Copy failed");
+        return;
+      }
+      navigator.clipboard.writeText(window.location.href).then(
+        () => done("Copied"),
+        err => {
+          console.error("Copy link failed:", err);
+          done("Copy failed");
+        }
+      );
+    });
+}
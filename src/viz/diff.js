@@ -0,0 +1,231 @@
+// src/viz/diff.js
+// Dataset version comparison (e.g. cleaned-old.csv -> cleaned.csv).
+// - Rows are matched by ID; repeated IDs (one sentence coded several times)
+//   are matched by occurrence: the 2nd row with ID 71 pairs with the 2nd one
+// - Reports which instances changed category on which axis, plus how node
+//   totals and link weights moved between the two versions
+// - Both versions are aggregated with the figure's settings (multi-coded
+//   cells, folded small categories), so deltas line up with what is drawn
+
+import * as d3 from "d3";
+import { preprocess } from "./preprocess.js";
+
+function keyedRows(rows, idColumn) {
+  const seen = new Map(); // id -> occurrences so far
+  const out = new Map();  // "id#n" -> row
+  for (const r of rows) {
+    const id = String(r[idColumn] ?? "").trim();
+    const n = seen.get(id) || 0;
+    seen.set(id, n + 1);
+    out.set(`${id}#${n}`, r);
+  }
+  return out;
+}
+
+function formatLabels(labels) {
+  return [].concat(labels ?? []).join("; ");
+}
+
+function deltas(beforeMap, afterMap, describe) {
+  const keys = new Set([...beforeMap.keys(), ...afterMap.keys()]);
+  const out = [];
+  for (const k of keys) {
+    const before = beforeMap.get(k) || 0;
+    const after = afterMap.get(k) || 0;
+    if (before === after) continue;
+    out.push({ ...describe(k), before, after, delta: after - before });
+  }
+  return out.sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta));
+}
+
+/**
+ * Compare two coded datasets.
+ *
+ * @param {Array<Object>} before - baseline rows
+ * @param {Array<Object>} after  - current rows
+ * @param {Object} opts
+ * @param {Array<string>} opts.axes
+ * @param {string} opts.idColumn
+ * @param {Object} [opts.multi] - multi-code settings (see preprocess)
+ * @param {Object} [opts.small] - small-category folding (see preprocess)
+ * @param {Set<string>} [opts.expandedOther] - axes whose "Other" node is open
+ * @param {Object} [opts.ordering] - category ordering (see preprocess)
+ * @returns {Object} report:
+ * - matched, added: [key], removed: [key]  (key = "id#occurrence")
+ * - changes: [{ key, id, axis, from, to }]
+ * - changedRows: Set of `after` row objects with at least one change
+ * - changesByAxis: { axis: count }
+ * - transitions: [{ axis, from, to, count }] (most frequent first)
+ * - nodeDeltas: [{ id, axis, label, before, after, delta }]
+ * - linkDeltas: [{ source, target, before, after, delta }]
+ */
+export function diffDatasets(before, after, { axes, idColumn, multi, small, expandedOther, ordering }) {
+  const opts = { axes, idColumn, multi, small, expandedOther, ordering };
+  const pBefore = preprocess(before, opts);
+  const pAfter = preprocess(after, opts);
+
+  // ----------------------------
+  // Instance-level changes
+  // ----------------------------
+  const kBefore = keyedRows(before, idColumn);
+  const kAfter = keyedRows(after, idColumn);
+  const instBefore = new Map(before.map((r, i) => [r, pBefore.instances[i]]));
+  const instAfter = new Map(after.map((r, i) => [r, pAfter.instances[i]]));
+
+  const added = [...kAfter.keys()].filter(k => !kBefore.has(k));
+  const removed = [...kBefore.keys()].filter(k => !kAfter.has(k));
+
+  const changes = [];
+  const changedRows = new Set();
+  let matched = 0;
+
+  for (const [key, rAfter] of kAfter) {
+    const rBefore = kBefore.get(key);
+    if (!rBefore) continue;
+    matched += 1;
+
+    const a = instBefore.get(rBefore);
+    const b = instAfter.get(rAfter);
+    for (const axis of axes) {
+      const from = formatLabels(a.labels[axis]);
+      const to = formatLabels(b.labels[axis]);
+      if (from === to) continue;
+      changes.push({ key, id: b.id, axis, from, to });
+      changedRows.add(rAfter);
+    }
+  }
+
+  const changesByAxis = Object.fromEntries(axes.map(axis => [axis, 0]));
+  for (const c of changes) changesByAxis[c.axis] += 1;
+
+  const transitions = d3.flatRollup(changes, v => v.length, c => c.axis, c => c.from, c => c.to)
+    .map(([axis, from, to, count]) => ({ axis, from, to, count }))
+    .sort((x, y) => y.count - x.count);
+
+  // ----------------------------
+  // Aggregate shifts
+  // ----------------------------
+  const nodeDeltas = deltas(
+    new Map(pBefore.nodes.map(n => [n.id, n.value])),
+    new Map(pAfter.nodes.map(n => [n.id, n.value])),
+    id => {
+      const i = id.indexOf("::");
+      return { id, axis: id.slice(0, i), label: id.slice(i + 2) };
+    }
+  );
+
+  const linkDeltas = deltas(
+    new Map(pBefore.links.map(l => [`${l.source}-->${l.target}`, l.value])),
+    new Map(pAfter.links.map(l => [`${l.source}-->${l.target}`, l.value])),
+    k => {
+      const [source, target] = k.split("-->");
+      return { source, target };
+    }
+  );
+
+  return {
+    matched,
+    added,
+    removed,
+    changes,
+    changedRows,
+    changesByAxis,
+    transitions,
+    nodeDeltas,
+    linkDeltas,
+  };
+}
+
+// -----------------------------
+// UI
+// -----------------------------
+
+export function formatDelta(v) {
+  const s = Number.isInteger(v) ? String(Math.abs(v)) : Math.abs(v).toFixed(1);
+  return `${v > 0 ? "+" : "−"}${s}`;
+}
+
+/**
+ * Comparison summary panel (HTML).
+ *
+ * @param {d3.Selection} host
+ * @param {Object|null} diff       - diffDatasets() result (null hides the panel)
+ * @param {Object} args
+ * @param {string} args.baselineName
+ * @param {boolean} args.onlyChanged - current state of the "highlight changed" toggle
+ * @param {(on:boolean)=>void} args.onToggleChanged
+ * @param {()=>void} args.onClear
+ * @param {string|null} [args.error] - a baseline that failed to load (shown above the panel)
+ */
+export function renderDiffPanel(host, diff, { baselineName, onlyChanged, onToggleChanged, onClear, error = null }) {
+  host.selectAll("*").remove();
+  if (error) host.append("p").attr("class", "load-error").text(error);
+  if (!diff) return;
+
+  const details = host.append("details").attr("class", "diff-panel").attr("open", true);
+  details.append("summary").text(
+    `Compared with ${baselineName}: ${diff.changedRows.size} of ${diff.matched} matched instances changed`
+  );
+
+  const bar = details.append("div").attr("class", "diff-actions");
+  const toggle = bar.append("label");
+  toggle.append("input")
+    .attr("type", "checkbox")
+    .property("checked", onlyChanged)
+    .on("change", function () { onToggleChanged(this.checked); });
+  toggle.append("span").text("Highlight changed instances");
+
+  bar.append("button")
+    .attr("type", "button")
+    .text("Clear comparison")
+    .on("click", onClear);
+
+  if (diff.added.length || diff.removed.length) {
+    details.append("p").text(`${diff.added.length} new, ${diff.removed.length} removed (unmatched IDs)`);
+  }
+
+  const cols = details.append("div").attr("class", "diff-columns");
+
+  function table(title, rows, fmt) {
+    const sec = cols.append("section");
+    sec.append("h3").text(title);
+    if (!rows.length) {
+      sec.append("p").attr("class", "diff-empty").text("No changes");
+      return;
+    }
+    const ul = sec.append("ul");
+    for (const r of rows) ul.append("li").text(fmt(r));
+  }
+
+  table(
+    "Changes per axis",
+    Object.entries(diff.changesByAxis).filter(([, n]) => n > 0),
+    ([axis, n]) => `${axis}: ${n}`
+  );
+  table(
+    "Recodings",
+    diff.transitions.slice(0, 30),
+    t => `${t.axis}: ${t.from} → ${t.to} ×${t.count}`
+  );
+  table(
+    "Node totals",
+    diff.nodeDeltas.slice(0, 30),
+    n => `${n.axis}: ${n.label} ${n.before} → ${n.after} (${formatDelta(n.delta)})`
+  );
+  table(
+    "Link weights",
+    diff.linkDeltas.slice(0, 30),
+    l => `${l.source.split("::")[1]} → ${l.target.split("::")[1]} ${formatDelta(l.delta)}`
+  );
+}
+
+// Node-total deltas by node id, for annotating the map
+export function nodeDeltaMap(diff) {
+  return new Map((diff?.nodeDeltas || []).map(n => [n.id, n.delta]));
+}
+
+// Link-weight deltas by "source-->target", for outlining changed ribbons
+export function linkDeltaMap(diff) {
+  return new Map((diff?.linkDeltas || []).map(l => [`${l.source}-->${l.target}`, l.delta]));
+}
+
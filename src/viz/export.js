@@ -0,0 +1,323 @@
+// src/viz/export.js
+// Client-side figure export.
+// - SVG: a standalone copy with stylesheet rules and the font stack inlined,
+//   interaction-only layers (hit areas, drag handles) stripped
+// - PNG: the same SVG rasterised on a canvas at a chosen DPI (pHYs chunk set)
+// - PDF: vector, via jsPDF + svg2pdf.js (loaded on first use)
+// Filenames encode the view (mode, colour-by, filtered or not).
+
+import { EXPORT } from "./config.js";
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+const CSS_DPI = 96;
+
+// Present only for interaction; invisible in the figure
+const STRIP_SELECTORS = [".strand-hits", "rect.axis-handle"];
+
+function slug(s) {
+  return String(s ?? "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+/**
+ * "biophilic-design-space_parallel_design-concept[_filtered].svg"
+ */
+export function exportFilename({ mode, colorBy, filtered = false }, ext) {
+  const parts = [EXPORT.basename, slug(mode), slug(colorBy)];
+  if (filtered) parts.push("filtered");
+  return `${parts.filter(Boolean).join("_")}.${ext}`;
+}
+
+// -----------------------------
+// Style inlining
+// -----------------------------
+
+function documentRules() {
+  const rules = [];
+  for (const sheet of document.styleSheets) {
+    let list;
+    try {
+      list = sheet.cssRules;
+    } catch {
+      continue; // cross-origin sheet
+    }
+    for (const rule of list || []) rules.push(rule);
+  }
+  return rules;
+}
+
+async function inlineFontFace(rule) {
+  // Embed url(...) sources as data URIs so the file renders anywhere
+  let css = rule.cssText;
+  const urls = [...css.matchAll(/url\((["']?)([^"')]+)\1\)/g)].map(m => m[2]);
+  for (const url of new Set(urls)) {
+    if (url.startsWith("data:")) continue;
+    try {
+      const blob = await (await fetch(url)).blob();
+      css = css.split(url).join(await blobToDataURL(blob));
+    } catch (err) {
+      console.warn("Could not embed font:", url, err);
+    }
+  }
+  return css;
+}
+
+function blobToDataURL(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+/**
+ * Standalone copy of a rendered figure.
+ * Properties set by page CSS (which a saved file would lose) are written onto
+ * each element as computed inline styles; @font-face rules travel in <style>.
+ *
+ * @param {SVGSVGElement} svgNode - the live figure
+ * @returns {Promise<SVGSVGElement>} detached clone
+ */
+export async function standaloneSVG(svgNode) {
+  const rules = documentRules();
+
+  // Inline styles on the live nodes' clones (walk both trees in step)
+  const clone = svgNode.cloneNode(true);
+  const live = [svgNode, ...svgNode.querySelectorAll("*")];
+  const copy = [clone, ...clone.querySelectorAll("*")];
+
+  const styleRules = rules.filter(r => r.selectorText && r.style);
+  live.forEach((el, i) => {
+    let computed = null;
+    for (const rule of styleRules) {
+      let hit = false;
+      try {
+        hit = el.matches(rule.selectorText);
+      } catch {
+        continue; // selector the engine cannot match (e.g. vendor pseudo)
+      }
+      if (!hit) continue;
+      computed ??= getComputedStyle(el);
+      for (let k = 0; k < rule.style.length; k++) {
+        const prop = rule.style[k];
+        copy[i].style.setProperty(prop, computed.getPropertyValue(prop));
+      }
+    }
+  });
+
+  // Font stack the figure inherits from the page (unless it sets its own)
+  const fontFamily = getComputedStyle(svgNode).getPropertyValue("font-family");
+  if (fontFamily && !clone.hasAttribute("font-family")) clone.setAttribute("font-family", fontFamily);
+
+  const fontFaces = rules.filter(r => r.type === 5 /* CSSRule.FONT_FACE_RULE */);
+  if (fontFaces.length) {
+    const style = document.createElementNS(SVG_NS, "style");
+    style.textContent = (await Promise.all(fontFaces.map(inlineFontFace))).join("\n");
+    clone.insertBefore(style, clone.firstChild);
+  }
+
+  for (const sel of STRIP_SELECTORS) {
+    clone.querySelectorAll(sel).forEach(n => n.remove());
+  }
+  clone.querySelectorAll("[style*='cursor']").forEach(n => n.style.removeProperty("cursor"));
+
+  return clone;
+}
+
+export function serializeSVG(svg) {
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${new XMLSerializer().serializeToString(svg)}`;
+}
+
+function svgSize(svg) {
+  return {
+    width: +svg.getAttribute("width"),
+    height: +svg.getAttribute("height"),
+  };
+}
+
+// -----------------------------
+// PNG
+// -----------------------------
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(bytes) {
+  let c = 0xffffffff;
+  for (const b of bytes) c = CRC_TABLE[(c ^ b) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Set the pHYs chunk (pixels per metre) so print tools pick up the DPI: any
+ * existing pHYs is dropped (some browsers write one) and ours goes after IHDR.
+ */
+export async function withDPI(pngBlob, dpi) {
+  const src = new Uint8Array(await pngBlob.arrayBuffer());
+  const ppm = Math.round(dpi / 0.0254);
+
+  const chunk = new Uint8Array(21);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, 9);
+  chunk.set([0x70, 0x48, 0x59, 0x73], 4); // "pHYs"
+  view.setUint32(8, ppm);
+  view.setUint32(12, ppm);
+  chunk[16] = 1; // unit: metre
+  view.setUint32(17, crc32(chunk.subarray(4, 17)));
+
+  // Walk the chunks (length, type, data, crc), keeping all but pHYs
+  const srcView = new DataView(src.buffer, src.byteOffset, src.byteLength);
+  const parts = [src.subarray(0, 8)]; // signature
+  for (let at = 8; at + 12 <= src.length;) {
+    const end = at + 12 + srcView.getUint32(at);
+    const type = String.fromCharCode(...src.subarray(at + 4, at + 8));
+    if (type !== "pHYs") parts.push(src.subarray(at, end));
+    if (type === "IHDR") parts.push(chunk);
+    at = end;
+  }
+  return new Blob(parts, { type: "image/png" });
+}
+
+export async function svgToPNG(svg, dpi = EXPORT.dpi) {
+  const { width, height } = svgSize(svg);
+  const scale = dpi / CSS_DPI;
+
+  const url = URL.createObjectURL(new Blob([serializeSVG(svg)], { type: "image/svg+xml" }));
+  try {
+    const img = new Image();
+    img.decoding = "sync";
+    await new Promise((resolve, reject) => {
+      img.onload = resolve;
+      img.onerror = () => reject(new Error("The browser could not rasterise the SVG."));
+      img.src = url;
+    });
+
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.round(width * scale);
+    canvas.height = Math.round(height * scale);
+    const ctx = canvas.getContext("2d");
+    ctx.fillStyle = "#ffffff";
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+
+    const blob = await new Promise((resolve, reject) => {
+      canvas.toBlob(b => (b ? resolve(b) : reject(new Error("Canvas too large for this browser."))), "image/png");
+    });
+    return withDPI(blob, dpi);
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+// -----------------------------
+// PDF (vector)
+// -----------------------------
+
+export async function svgToPDF(svg) {
+  const [{ jsPDF }] = await Promise.all([import("jspdf"), import("svg2pdf.js")]);
+
+  // CSS px -> pt, so the PDF page has the figure's physical size at 96 dpi
+  const { width, height } = svgSize(svg);
+  const w = width * 72 / CSS_DPI;
+  const h = height * 72 / CSS_DPI;
+
+  const doc = new jsPDF({
+    orientation: w > h ? "landscape" : "portrait",
+    unit: "pt",
+    format: [w, h],
+    compress: true,
+  });
+
+  // svg2pdf resolves styles on attached nodes
+  const holder = document.createElement("div");
+  holder.style.cssText = "position:absolute;left:-99999px;top:0;visibility:hidden";
+  holder.appendChild(svg);
+  document.body.appendChild(holder);
+  try {
+    await doc.svg(svg, { x: 0, y: 0, width: w, height: h });
+  } finally {
+    holder.remove();
+  }
+  return doc.output("blob");
+}
+
+// -----------------------------
+// UI
+// -----------------------------
+
+export function download(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Export buttons (SVG / PNG at a DPI / PDF).
+ *
+ * @param {d3.Selection} host
+ * @param {Object} args
+ * @param {()=>SVGSVGElement|null} args.getSVG - the figure to export (print layout)
+ * @param {()=>Object} args.getView            - { mode, colorBy, filtered } for the filename
+ */
+export function renderExportMenu(host, { getSVG, getView }) {
+  host.selectAll("*").remove();
+
+  let dpi = EXPORT.dpi;
+
+  async function run(ext, make) {
+    const node = getSVG();
+    if (!node) return;
+    host.selectAll("button").property("disabled", true);
+    status.text(`Exporting ${ext.toUpperCase()}…`);
+    try {
+      const svg = await standaloneSVG(node);
+      download(await make(svg), exportFilename(getView(), ext));
+      status.text("");
+    } catch (err) {
+      console.error(`${ext.toUpperCase()} export failed:`, err);
+      status.text(`${ext.toUpperCase()} export failed: ${err.message}`);
+    } finally {
+      host.selectAll("button").property("disabled", false);
+    }
+  }
+
+  host.append("span").attr("class", "control-label").text("Export");
+
+  host.append("button")
+    .attr("type", "button")
+    .text("SVG")
+    .on("click", () => run("svg", async svg => new Blob([serializeSVG(svg)], { type: "image/svg+xml" })));
+
+  host.append("button")
+    .attr("type", "button")
+    .text("PNG")
+    .on("click", () => run("png", svg => svgToPNG(svg, dpi)));
+
+  const dpiSel = host.append("select")
+    .attr("aria-label", "PNG resolution")
+    .on("change", function () { dpi = +this.value; });
+  dpiSel.selectAll("option")
+    .data(EXPORT.dpiOptions)
+    .join("option")
+    .attr("value", d => d)
+    .property("selected", d => d === dpi)
+    .text(d => `${d} dpi`);
+
+  host.append("button")
+    .attr("type", "button")
+    .text("PDF")
+    .on("click", () => run("pdf", svgToPDF));
+
+  const status = host.append("span").attr("class", "export-status");
+}
@@ -0,0 +1,158 @@
+// src/viz/filter.js
+// Click-to-filter brushing.
+// A filter is a Map<axis, Set<label>>:
+// - labels on the SAME axis are OR-ed  (Touch OR Kinesthetic)
+// - different axes are AND-ed          (... AND Outdoor-Adjacent)
+
+import { nodeId } from "./preprocess.js";
+import { displayName } from "./codebook.js";
+
+export function isFilterEmpty(filter) {
+  return !filter || filter.size === 0;
+}
+
+/**
+ * Return a new filter with axis/label toggled on or off.
+ */
+export function toggleFilter(filter, axis, label) {
+  const next = new Map([...filter].map(([a, set]) => [a, new Set(set)]));
+  const set = next.get(axis) || new Set();
+
+  if (set.has(label)) set.delete(label);
+  else set.add(label);
+
+  if (set.size) next.set(axis, set);
+  else next.delete(axis);
+
+  return next;
+}
+
+/**
+ * Return a new filter selecting exactly one label on each of two axes
+ * (a heatmap cell); selecting the same cell again clears both axes.
+ */
+export function toggleCellFilter(filter, axisA, labelA, axisB, labelB) {
+  const next = new Map([...filter].map(([a, set]) => [a, new Set(set)]));
+  const isSame = [[axisA, labelA], [axisB, labelB]]
+    .every(([axis, label]) => next.get(axis)?.size === 1 && next.get(axis).has(label));
+
+  next.delete(axisA);
+  next.delete(axisB);
+  if (!isSame) {
+    next.set(axisA, new Set([labelA]));
+    next.set(axisB, new Set([labelB]));
+  }
+  return next;
+}
+
+export function isSelected(filter, axis, label) {
+  return !!filter?.get(axis)?.has(label);
+}
+
+// Human-readable filter, e.g. "Kinesthetic or Touch and Outdoor-Adjacent"
+export function describeFilter(filter) {
+  return [...filter]
+    .map(([axis, labels]) => [...labels].map(l => displayName(axis, l)).join(" or "))
+    .join(" and ");
+}
+
+export function instanceMatches(inst, filter) {
+  if (isFilterEmpty(filter)) return true;
+
+  const ids = new Set(inst.nodeIds);
+  for (const [axis, labels] of filter) {
+    let hit = false;
+    for (const label of labels) {
+      if (ids.has(nodeId(axis, label))) { hit = true; break; }
+    }
+    if (!hit) return false;
+  }
+  return true;
+}
+
+/**
+ * Indices of instances that pass the filter (null = no filter active).
+ */
+export function matchingIndices(instances, filter) {
+  if (isFilterEmpty(filter)) return null;
+  return new Set(instances.filter(inst => instanceMatches(inst, filter)).map(inst => inst.index));
+}
+
+// -----------------------------
+// URL serialisation: one `filter=Axis:Label` parameter per selected label
+// -----------------------------
+export function filterToParams(filter, params = new URLSearchParams()) {
+  params.delete("filter");
+  for (const [axis, labels] of filter || []) {
+    for (const label of labels) params.append("filter", `${axis}:${label}`);
+  }
+  return params;
+}
+
+export function filterFromParams(params) {
+  let filter = new Map();
+  for (const raw of params.getAll("filter")) {
+    const i = raw.indexOf(":");
+    if (i <= 0) continue;
+    const axis = raw.slice(0, i);
+    const label = raw.slice(i + 1);
+    if (!isSelected(filter, axis, label)) filter = toggleFilter(filter, axis, label);
+  }
+  return filter;
+}
+
+/**
+ * Render the active filter as removable chips (HTML, outside the SVG).
+ *
+ * @param {d3.Selection} host
+ * @param {Map<string, Set<string>>} filter
+ * @param {Object} handlers
+ * @param {(axis:string, label:string)=>void} handlers.onRemove
+ * @param {()=>void} handlers.onClear
+ * @param {number|null} [handlers.matchCount] - instances passing the filter
+ */
+export function renderFilterChips(host, filter, { onRemove, onClear, matchCount = null }) {
+  host.selectAll("*").remove();
+  host.classed("is-empty", isFilterEmpty(filter));
+  if (isFilterEmpty(filter)) return;
+
+  host.append("span")
+    .attr("class", "filter-chips-title")
+    .text("Filter");
+
+  const chips = [];
+  for (const [axis, labels] of filter) {
+    for (const label of labels) chips.push({ axis, label });
+  }
+
+  chips.forEach((c, i) => {
+    // Axis boundaries read as AND, repeats on one axis as OR
+    if (i > 0) {
+      host.append("span")
+        .attr("class", "filter-chips-op")
+        .text(chips[i - 1].axis === c.axis ? "or" : "and");
+    }
+
+    const chip = host.append("span").attr("class", "filter-chip");
+    chip.append("span").attr("class", "filter-chip-axis").text(c.axis);
+    chip.append("span").attr("class", "filter-chip-label").text(displayName(c.axis, c.label));
+    chip.append("button")
+      .attr("type", "button")
+      .attr("class", "filter-chip-remove")
+      .attr("aria-label", `Remove ${c.axis}: ${displayName(c.axis, c.label)}`)
+      .text("×")
+      .on("click", () => onRemove(c.axis, c.label));
+  });
+
+  if (matchCount != null) {
+    host.append("span")
+      .attr("class", "filter-chips-count")
+      .text(`${matchCount} instance${matchCount === 1 ? "" : "s"}`);
+  }
+
+  host.append("button")
+    .attr("type", "button")
+    .attr("class", "filter-chips-clear")
+    .text("Clear")
+    .on("click", onClear);
+}
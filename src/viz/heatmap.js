@@ -0,0 +1,307 @@
+// src/viz/heatmap.js
+// Co-occurrence heatmap for any two axes (RENDER.mode = "heatmap").
+// - Rows/columns follow the crossing-reduced category order (axisInfo)
+// - Cells coloured by count or by adjusted standardized residual
+//   (blue = rarer than chance, red = more frequent; |r| > 1.96 in bold)
+// - Clicking a cell filters to the instances coded with both labels
+
+import * as d3 from "d3";
+import { HEATMAP } from "./config.js";
+import { associationStats, contingencyTable } from "./stats.js";
+import { shortName } from "./codebook.js";
+import { approxTextWidth } from "./legend.js";
+
+const INK = "#111827";
+const MUTED = "#6b7280";
+const GRID = "#ffffff";
+
+// |residual| above this is significant at the 5% level
+const Z_05 = 1.96;
+
+/**
+ * Heatmap axes from settings, falling back to the first/last shown axis
+ * when a configured axis is not among `axes`.
+ */
+export function resolveHeatmapAxes({ rowAxis, colAxis } = {}, axes) {
+  const row = axes.includes(rowAxis) ? rowAxis : axes[0];
+  let col = axes.includes(colAxis) && colAxis !== row ? colAxis : axes[axes.length - 1];
+  if (col === row) col = axes.find(a => a !== row);
+  return { rowAxis: row, colAxis: col };
+}
+
+function formatCount(v) {
+  return Number.isInteger(v) ? String(v) : v.toFixed(1);
+}
+
+function formatResidual(v) {
+  return `${v > 0 ? "+" : v < 0 ? "−" : ""}${Math.abs(v).toFixed(1)}`;
+}
+
+/**
+ * Draw the heatmap into `svg` (below the figure title).
+ *
+ * @param {d3.Selection} svg
+ * @param {Object} args
+ * @param {Array<Object>} args.rows
+ * @param {Array<Object>} args.axisInfo   - preprocess() output (category order)
+ * @param {string} args.rowAxis
+ * @param {string} args.colAxis
+ * @param {"count"|"residual"} args.metric
+ * @param {Object} args.multi             - multi-code settings
+ * @param {Set<number>|null} args.active  - emphasised row indices (null = all)
+ * @param {Map} args.filter
+ * @param {Object} args.frame             - { width, height, margin, scale } (scale: layout profile factor for fixed offsets, default 1)
+ * @param {Object} args.type              - { axisTitleSize, nodeLabelSize, countSize }
+ * @param {(rowAxis, rowLabel, colAxis, colLabel)=>void} [args.onCellClick]
+ */
+export function drawHeatmap(svg, {
+  rows,
+  axisInfo,
+  rowAxis,
+  colAxis,
+  metric = HEATMAP.metric,
+  multi,
+  active = null,
+  filter = new Map(),
+  frame,
+  type,
+  onCellClick = null,
+}) {
+  const { width, height, margin } = frame;
+  const px = v => v * (frame.scale ?? 1);
+  const orderOf = axis => axisInfo.find(a => a.axis === axis)?.categories ?? null;
+
+  const tableOpts = { multi, rowOrder: orderOf(rowAxis), colOrder: orderOf(colAxis) };
+  const table = contingencyTable(rows, rowAxis, colAxis, tableOpts);
+  const stats = associationStats(table);
+
+  // Cells with no emphasised instance are faded (filter / comparison)
+  const activeTable = active
+    ? contingencyTable(rows.filter((r, i) => active.has(i)), rowAxis, colAxis, tableOpts)
+    : null;
+  const isLive = (a, b) => {
+    if (!activeTable) return true;
+    const i = activeTable.rows.indexOf(a);
+    const j = activeTable.cols.indexOf(b);
+    return i >= 0 && j >= 0 && activeTable.counts[i][j] > 0;
+  };
+  const isPicked = (a, b) => !!filter.get(rowAxis)?.has(a) && !!filter.get(colAxis)?.has(b);
+
+  // -----------------------------
+  // Geometry
+  // -----------------------------
+  const labelW = px(300);  // row labels
+  const labelH = px(170);  // rotated column labels
+
+  // Legend beside the grid: gap for the last rotated column label, then as
+  // wide as its longest line (title, ticks, test summary)
+  const p = stats.pValue; // NaN when df = 0 (a single row or column): no test
+  const legendTitle = metric === "count" ? "Instances" : "Std. residual";
+  const summary = [
+    `χ²(${stats.df}) = ${stats.chiSquare.toFixed(1)}`,
+    stats.df === 0 || !Number.isFinite(p) ? "p = –" : p < 0.001 ? "p < .001" : `p = ${p.toFixed(3)}`,
+    `Cramér's V = ${stats.cramersV.toFixed(2)}`,
+    `n = ${formatCount(stats.n)}`,
+  ];
+  const legendGap = px(140);
+  const barW = px(22);
+  const legendW = Math.max(
+    approxTextWidth(legendTitle, type.countSize * 1.1), // bold
+    d3.max(summary, t => approxTextWidth(t, type.countSize)),
+    barW + px(8) + approxTextWidth("−00.0", type.countSize),
+  );
+
+  const gridLeft = margin.left + labelW;
+  const gridTop = margin.top + labelH;
+  const availW = width - margin.right - legendGap - legendW - gridLeft;
+  const availH = height - margin.bottom - gridTop;
+  const nR = Math.max(1, table.rows.length);
+  const nC = Math.max(1, table.cols.length);
+  const cell = Math.max(px(8), Math.min(px(HEATMAP.maxCell ?? 150), availW / nC, availH / nR));
+
+  // -----------------------------
+  // Colour
+  // -----------------------------
+  const maxCount = d3.max(table.counts.flat()) || 1;
+  const maxResid = Math.max(HEATMAP.residualDomain ?? 4, d3.max(stats.cells.flat(), c => Math.abs(c.adjustedResidual)) || 0);
+
+  const color = metric === "count"
+    ? d3.scaleSequential(d3.interpolateBlues).domain([0, maxCount])
+    : d3.scaleDiverging(t => d3.interpolateRdBu(1 - t)).domain([-maxResid, 0, maxResid]);
+  const valueOf = c => (metric === "count" ? c.observed : c.adjustedResidual);
+
+  // Text colour that stays readable on the cell fill
+  const textOn = fill => (d3.lab(fill).l < 55 ? "#ffffff" : INK);
+
+  const g = svg.append("g").attr("class", "heatmap");
+
+  // -----------------------------
+  // Axis titles (column title below the grid, clear of the rotated labels)
+  // -----------------------------
+  g.append("text")
+    .attr("class", "heatmap-axis-title")
+    .attr("x", gridLeft + (nC * cell) / 2)
+    .attr("y", gridTop + nR * cell + px(16))
+    .attr("text-anchor", "middle")
+    .attr("dominant-baseline", "hanging")
+    .attr("fill", INK)
+    .attr("font-size", type.axisTitleSize)
+    .attr("font-weight", 700)
+    .text(colAxis);
+
+  g.append("text")
+    .attr("class", "heatmap-axis-title")
+    .attr("transform", `translate(${margin.left},${gridTop + (nR * cell) / 2}) rotate(-90)`)
+    .attr("text-anchor", "middle")
+    .attr("dominant-baseline", "hanging")
+    .attr("fill", INK)
+    .attr("font-size", type.axisTitleSize)
+    .attr("font-weight", 700)
+    .text(rowAxis);
+
+  // -----------------------------
+  // Category labels (with totals)
+  // -----------------------------
+  const labelSize = Math.min(type.nodeLabelSize, Math.max(px(12), cell * 0.32));
+
+  g.append("g")
+    .attr("class", "heatmap-row-labels")
+    .selectAll("text")
+    .data(table.rows)
+    .join("text")
+    .attr("x", gridLeft - px(12))
+    .attr("y", (d, i) => gridTop + (i + 0.5) * cell)
+    .attr("text-anchor", "end")
+    .attr("dominant-baseline", "middle")
+    .attr("fill", INK)
+    .attr("font-size", labelSize)
+    .text((d, i) => `${shortName(rowAxis, d)} (${formatCount(table.rowTotals[i])})`);
+
+  g.append("g")
+    .attr("class", "heatmap-col-labels")
+    .selectAll("text")
+    .data(table.cols)
+    .join("text")
+    .attr("transform", (d, j) => `translate(${gridLeft + (j + 0.5) * cell},${gridTop - px(12)}) rotate(-40)`)
+    .attr("text-anchor", "start")
+    .attr("dominant-baseline", "middle")
+    .attr("fill", INK)
+    .attr("font-size", labelSize)
+    .text((d, j) => `${shortName(colAxis, d)} (${formatCount(table.colTotals[j])})`);
+
+  // -----------------------------
+  // Cells
+  // -----------------------------
+  const cells = stats.cells.flat();
+
+  const cellSel = g.append("g")
+    .attr("class", "heatmap-cells")
+    .selectAll("g.heatmap-cell")
+    .data(cells)
+    .join("g")
+    .attr("class", "heatmap-cell")
+    .attr("transform", d => {
+      const i = table.rows.indexOf(d.row);
+      const j = table.cols.indexOf(d.col);
+      return `translate(${gridLeft + j * cell},${gridTop + i * cell})`;
+    })
+    .attr("opacity", d => (isLive(d.row, d.col) ? 1 : 0.18));
+
+  cellSel.append("rect")
+    .attr("width", cell)
+    .attr("height", cell)
+    .attr("fill", d => color(valueOf(d)))
+    .attr("stroke", GRID)
+    .attr("stroke-width", 2);
+
+  // Selected cell: inner outline (stays inside the grid)
+  cellSel.filter(d => isPicked(d.row, d.col))
+    .append("rect")
+    .attr("x", 2)
+    .attr("y", 2)
+    .attr("width", Math.max(0, cell - 4))
+    .attr("height", Math.max(0, cell - 4))
+    .attr("fill", "none")
+    .attr("stroke", INK)
+    .attr("stroke-width", 3);
+
+  const valueSize = Math.min(type.countSize + 4, Math.max(9, cell * 0.26));
+  cellSel.filter(d => d.observed > 0 && cell >= 24)
+    .append("text")
+    .attr("x", cell / 2)
+    .attr("y", cell / 2)
+    .attr("text-anchor", "middle")
+    .attr("dominant-baseline", "middle")
+    .attr("fill", d => textOn(color(valueOf(d))))
+    .attr("font-size", valueSize)
+    .attr("font-weight", d => (Math.abs(d.adjustedResidual) > Z_05 ? 700 : 400))
+    .text(d => (metric === "count" ? formatCount(d.observed) : formatResidual(d.adjustedResidual)));
+
+  cellSel.append("title")
+    .text(d => [
+      `${shortName(rowAxis, d.row)} × ${shortName(colAxis, d.col)}`,
+      `observed ${formatCount(d.observed)}, expected ${d.expected.toFixed(1)}`,
+      `lift ${Number.isFinite(d.lift) ? d.lift.toFixed(2) : "–"}, PMI ${Number.isFinite(d.pmi) ? d.pmi.toFixed(2) : "–"}`,
+      `std. residual ${formatResidual(d.adjustedResidual)}`,
+    ].join("\n"));
+
+  if (onCellClick) {
+    cellSel
+      .style("cursor", "pointer")
+      .on("click", (event, d) => {
+        if (d.observed > 0) onCellClick(rowAxis, d.row, colAxis, d.col);
+      });
+  }
+
+  // -----------------------------
+  // Legend (colour bar) + test summary
+  // -----------------------------
+  const legendX = gridLeft + nC * cell + legendGap;
+  const barH = Math.min(nR * cell, px(360));
+  const lg = g.append("g")
+    .attr("class", "heatmap-legend")
+    .attr("transform", `translate(${legendX},${gridTop})`);
+
+  lg.append("text")
+    .attr("y", -px(14))
+    .attr("fill", INK)
+    .attr("font-size", type.countSize)
+    .attr("font-weight", 700)
+    .text(legendTitle);
+
+  const [lo, hi] = metric === "count" ? [0, maxCount] : [-maxResid, maxResid];
+  const y = d3.scaleLinear().domain([lo, hi]).range([barH, 0]);
+  const steps = 40;
+  lg.selectAll("rect.heatmap-legend-step")
+    .data(d3.range(steps))
+    .join("rect")
+    .attr("class", "heatmap-legend-step")
+    .attr("y", k => (barH * k) / steps)
+    .attr("width", barW)
+    .attr("height", barH / steps + 0.5)
+    .attr("fill", k => color(y.invert((barH * (k + 0.5)) / steps)));
+
+  lg.selectAll("text.heatmap-legend-tick")
+    .data(y.ticks(5))
+    .join("text")
+    .attr("class", "heatmap-legend-tick")
+    .attr("x", barW + px(8))
+    .attr("y", d => y(d))
+    .attr("dominant-baseline", "middle")
+    .attr("fill", MUTED)
+    .attr("font-size", type.countSize)
+    .text(d => (metric === "count" ? d : formatResidual(d)));
+
+  lg.append("text")
+    .attr("y", barH + px(36))
+    .attr("fill", MUTED)
+    .attr("font-size", type.countSize)
+    .selectAll("tspan")
+    .data(summary)
+    .join("tspan")
+    .attr("x", 0)
+    .attr("dy", (d, i) => (i ? "1.3em" : 0))
+    .text(d => d);
+
+  return { table, stats };
+}
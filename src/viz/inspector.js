@@ -0,0 +1,142 @@
+// src/viz/inspector.js
+// Side panel listing the quotes behind a selection (node, strand, ribbon or filter).
+// - One card per coded instance: ID, full sentence, code on every axis
+// - Text search over ID, sentence and codes (case-insensitive)
+// - Paging (INSPECTOR.pageSize per page)
+
+import { INSPECTOR } from "./config.js";
+import { displayName } from "./codebook.js";
+
+function matchesQuery(inst, q) {
+  if (!q) return true;
+  if (inst.id.toLowerCase().includes(q)) return true;
+  if (inst.text.toLowerCase().includes(q)) return true;
+  return Object.entries(inst.labels || {}).some(([axis, l]) => formatCodes(axis, l).toLowerCase().includes(q));
+}
+
+// Multi-coded cells hold several labels (shown by their codebook names)
+function formatCodes(axis, labels) {
+  return [].concat(labels ?? []).map(l => displayName(axis, l)).join("; ");
+}
+
+// Append `text` to `el`, wrapping case-insensitive matches of `q` in <mark>
+// (built from text nodes, so sentences are never parsed as HTML)
+function appendHighlighted(el, text, q) {
+  if (!q) {
+    el.text(text);
+    return;
+  }
+  const lower = text.toLowerCase();
+  let from = 0;
+  let at = lower.indexOf(q, from);
+  while (at >= 0) {
+    if (at > from) el.append("span").text(text.slice(from, at));
+    el.append("mark").text(text.slice(at, at + q.length));
+    from = at + q.length;
+    at = lower.indexOf(q, from);
+  }
+  if (from < text.length) el.append("span").text(text.slice(from));
+}
+
+/**
+ * Create the inspector panel inside `host` (hidden until `show` is called).
+ *
+ * @param {d3.Selection} host
+ * @param {Object} [opts]
+ * @param {number} [opts.pageSize]
+ * @param {()=>void} [opts.onClose] - called when the user closes the panel
+ * @returns {{ show:(title:string, instances:Array, axes:Array<string>)=>void, close:()=>void, isOpen:()=>boolean }}
+ */
+export function createInspector(host, { pageSize = INSPECTOR?.pageSize ?? 10, onClose = null } = {}) {
+  const panel = host.append("aside")
+    .attr("class", "inspector")
+    .attr("hidden", true);
+
+  const header = panel.append("div").attr("class", "inspector-header");
+  const titleEl = header.append("h2").attr("class", "inspector-title");
+  header.append("button")
+    .attr("type", "button")
+    .attr("class", "inspector-close")
+    .attr("aria-label", "Close inspector")
+    .text("×")
+    .on("click", () => {
+      close();
+      onClose?.();
+    });
+
+  const search = panel.append("input")
+    .attr("type", "search")
+    .attr("class", "inspector-search")
+    .attr("placeholder", "Search quotes, IDs, codes…")
+    .on("input", function () {
+      state.query = this.value.trim().toLowerCase();
+      state.page = 0;
+      renderList();
+    });
+
+  const summary = panel.append("div").attr("class", "inspector-summary");
+  const list = panel.append("ol").attr("class", "inspector-list");
+
+  const pager = panel.append("div").attr("class", "inspector-pager");
+  const prev = pager.append("button").attr("type", "button").text("‹ Prev")
+    .on("click", () => { state.page -= 1; renderList(); });
+  const pageInfo = pager.append("span").attr("class", "inspector-page");
+  const next = pager.append("button").attr("type", "button").text("Next ›")
+    .on("click", () => { state.page += 1; renderList(); });
+
+  const state = { instances: [], axes: [], query: "", page: 0, open: false };
+
+  function renderList() {
+    const hits = state.instances.filter(inst => matchesQuery(inst, state.query));
+    const pages = Math.max(1, Math.ceil(hits.length / pageSize));
+    state.page = Math.max(0, Math.min(state.page, pages - 1));
+
+    const start = state.page * pageSize;
+    const shown = hits.slice(start, start + pageSize);
+
+    summary.text(
+      hits.length === state.instances.length
+        ? `${hits.length} instance${hits.length === 1 ? "" : "s"}`
+        : `${hits.length} of ${state.instances.length} instances match`
+    );
+
+    list.selectAll("*").remove();
+    list.attr("start", start + 1);
+
+    for (const inst of shown) {
+      const li = list.append("li").attr("class", "inspector-item");
+      li.append("div").attr("class", "inspector-id").text(`ID ${inst.id}`);
+      appendHighlighted(li.append("blockquote").attr("class", "inspector-quote"), inst.text, state.query);
+
+      const codes = li.append("dl").attr("class", "inspector-codes");
+      for (const axis of state.axes) {
+        codes.append("dt").text(axis);
+        appendHighlighted(codes.append("dd"), formatCodes(axis, inst.labels?.[axis]), state.query);
+      }
+    }
+
+    pageInfo.text(hits.length ? `${start + 1}–${start + shown.length} of ${hits.length}` : "No matches");
+    prev.property("disabled", state.page <= 0);
+    next.property("disabled", state.page >= pages - 1);
+  }
+
+  function show(title, instances, axes) {
+    state.instances = instances;
+    state.axes = axes;
+    state.page = 0;
+    state.open = true;
+
+    titleEl.text(title);
+    panel.attr("hidden", null);
+    renderList();
+  }
+
+  function close() {
+    state.open = false;
+    state.query = "";
+    search.property("value", "");
+    panel.attr("hidden", true);
+  }
+
+  return { show, close, isOpen: () => state.open };
+}
@@ -0,0 +1,163 @@
+// src/viz/interaction.js
+// Hover highlighting for the rendered map (both modes).
+// - Hovering a node highlights every coded instance passing through it
+// - Hovering a parallel strand highlights that single instance
+// - Hovering an alluvial ribbon highlights every instance travelling along it
+// Everything not touched by the highlighted instances is dimmed.
+// With an active filter, the resting state already dims non-matching instances
+// and hover only highlights within the matching set.
+
+import { RIBBON } from "./config.js";
+
+function linkKey(source, target) {
+  return `${source}-->${target}`;
+}
+
+function indexByNode(instances) {
+  const m = new Map(); // nodeId -> [instance index]
+  for (const inst of instances) {
+    for (const id of inst.nodeIds) {
+      if (!m.has(id)) m.set(id, []);
+      m.get(id).push(inst.index);
+    }
+  }
+  return m;
+}
+
+// Link keys an instance travels along (all of its paths when multi-coded)
+function instanceLinkKeys(inst) {
+  const keys = new Set();
+  for (const { nodeIds: ids } of inst.paths) {
+    for (let p = 0; p < ids.length - 1; p++) keys.add(linkKey(ids[p], ids[p + 1]));
+  }
+  return keys;
+}
+
+function indexByLink(instances) {
+  const m = new Map(); // linkKey -> [instance index]
+  for (const inst of instances) {
+    for (const k of instanceLinkKeys(inst)) {
+      if (!m.has(k)) m.set(k, []);
+      m.get(k).push(inst.index);
+    }
+  }
+  return m;
+}
+
+/**
+ * Wire pointer events for highlight/dim.
+ *
+ * @param {Object} args
+ * @param {Array} args.instances            - preprocess().instances
+ * @param {d3.Selection} args.nodeSel       - g.node selection (datum: node)
+ * @param {d3.Selection} [args.strandSel]   - parallel strands (datum: { i, ... })
+ * @param {d3.Selection} [args.strandHitSel] - wide transparent hit paths for strands (same datum)
+ * @param {d3.Selection} [args.glowSel]     - optional parallel glow paths (same datum)
+ * @param {d3.Selection} [args.linkSel]     - alluvial ribbons (datum: link)
+ * @param {number} [args.strandOpacity]     - resting strand opacity
+ * @param {number} [args.glowOpacity]       - resting glow opacity
+ * @param {number} [args.linkOpacity]       - resting ribbon opacity
+ * @param {Set<number>|null} [args.active]  - instance indices passing the filter (null = all)
+ * @param {(node:Object)=>void} [args.onNodeClick] - node click handler (filter toggling)
+ * @param {(strand:Object)=>void} [args.onStrandClick] - strand click handler (inspector)
+ * @param {(link:Object, indices:Array<number>)=>void} [args.onLinkClick] - ribbon click handler (inspector)
+ */
+export function attachHighlight({
+  instances,
+  nodeSel,
+  strandSel = null,
+  strandHitSel = null,
+  glowSel = null,
+  linkSel = null,
+  strandOpacity = RIBBON.opacity,
+  glowOpacity = 0,
+  linkOpacity = RIBBON.opacity,
+  active = null,
+  onNodeClick = null,
+  onStrandClick = null,
+  onLinkClick = null,
+}) {
+  const byNode = indexByNode(instances);
+  const byLink = indexByLink(instances);
+
+  const hover = RIBBON?.opacityHover ?? 0.85;
+  const dim = RIBBON?.opacityDim ?? 0.08;
+  const nodeDim = 0.3;
+
+  const isActive = (i) => !active || active.has(i);
+
+  function touched(indices) {
+    const nodeIds = new Set();
+    const linkKeys = new Set();
+    for (const i of indices) {
+      const inst = instances[i];
+      if (!inst) continue;
+      for (const id of inst.nodeIds) nodeIds.add(id);
+      for (const k of instanceLinkKeys(inst)) linkKeys.add(k);
+    }
+    return { nodeIds, linkKeys };
+  }
+
+  // Resting state: everything, or only the filter matches
+  const base = active ? touched(active) : null;
+
+  function highlight(indices) {
+    const lit = new Set(indices.filter(isActive));
+    if (!lit.size) return reset();
+
+    const { nodeIds, linkKeys } = touched(lit);
+
+    nodeSel.attr("opacity", d => (nodeIds.has(d.id) ? 1 : nodeDim));
+
+    strandSel?.attr("stroke-opacity", d => (lit.has(d.i) ? hover : dim));
+    glowSel?.attr("stroke-opacity", d => (lit.has(d.i) ? glowOpacity : 0));
+
+    linkSel?.attr("fill-opacity", d => (
+      linkKeys.has(linkKey(d.source, d.target)) ? hover : dim
+    ));
+  }
+
+  function reset() {
+    if (!base) {
+      nodeSel.attr("opacity", 1);
+      strandSel?.attr("stroke-opacity", strandOpacity);
+      glowSel?.attr("stroke-opacity", glowOpacity);
+      linkSel?.attr("fill-opacity", linkOpacity);
+      return;
+    }
+
+    nodeSel.attr("opacity", d => (base.nodeIds.has(d.id) ? 1 : nodeDim));
+    strandSel?.attr("stroke-opacity", d => (isActive(d.i) ? strandOpacity : dim));
+    glowSel?.attr("stroke-opacity", d => (isActive(d.i) ? glowOpacity : 0));
+    linkSel?.attr("fill-opacity", d => (
+      base.linkKeys.has(linkKey(d.source, d.target)) ? linkOpacity : dim
+    ));
+  }
+
+  nodeSel
+    .style("cursor", "pointer")
+    .on("pointerenter", (event, d) => highlight(byNode.get(d.id) || []))
+    .on("pointerleave", reset)
+    .on("click", (event, d) => onNodeClick?.(d));
+
+  // Strands are ~1px wide: prefer the hit layer when there is one
+  (strandHitSel ?? strandSel)
+    ?.style("cursor", "pointer")
+    .on("pointerenter", (event, d) => highlight([d.i]))
+    .on("pointerleave", reset)
+    .on("click", (event, d) => {
+      if (isActive(d.i)) onStrandClick?.(d);
+    });
+
+  linkSel
+    ?.style("cursor", "pointer")
+    .on("pointerenter", (event, d) => highlight(byLink.get(linkKey(d.source, d.target)) || []))
+    .on("pointerleave", reset)
+    .on("click", (event, d) => {
+      const indices = (byLink.get(linkKey(d.source, d.target)) || []).filter(isActive);
+      if (indices.length) onLinkClick?.(d, indices);
+    });
+
+  reset();
+  return { highlight, reset };
+}
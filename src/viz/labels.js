@@ -0,0 +1,137 @@
+// src/viz/labels.js
+// Node label placement, one axis at a time.
+// - Fitting: a label breaks at slashes, then wraps at spaces/hyphens within a
+//   maximum width; if it still needs too many lines it falls back to the
+//   codebook short name, and finally to an ellipsis
+// - Spreading: overlapping labels are pushed apart vertically. Each run of
+//   overlapping labels is centred on its nodes' mean position, so labels stay
+//   as close to their nodes as the space allows
+// The "(n)" count line is part of each label block and moves with it.
+
+import { approxTextWidth } from "./legend.js";
+
+// Vertical metrics (fractions of the font size) for alphabetic baselines
+const ASCENT = 0.8;
+const DESCENT = 0.25;
+
+function splitSlashLabel(label) {
+  const s = String(label ?? "").trim();
+  if (!s) return [""];
+  if (!s.includes("/")) return [s];
+  return s.split("/").map(p => p.trim()).filter(Boolean);
+}
+
+// Greedy wrap of one segment; breaks after spaces and hyphens
+function wrapSegment(segment, maxWidth, fontSize) {
+  const words = segment.match(/[^\s-]+-?|-/g) ?? [segment];
+  const lines = [];
+  let line = "";
+  for (const w of words) {
+    const glue = line && !line.endsWith("-") ? " " : "";
+    const next = line + glue + w;
+    if (line && approxTextWidth(next, fontSize) > maxWidth) {
+      lines.push(line);
+      line = w;
+    } else {
+      line = next;
+    }
+  }
+  if (line) lines.push(line);
+  return lines;
+}
+
+function wrapLabel(text, maxWidth, fontSize) {
+  return splitSlashLabel(text).flatMap(seg => wrapSegment(seg, maxWidth, fontSize));
+}
+
+function fits(lines, maxWidth, fontSize, maxLines) {
+  return lines.length <= maxLines && lines.every(l => approxTextWidth(l, fontSize) <= maxWidth);
+}
+
+function truncate(text, maxWidth, fontSize) {
+  if (approxTextWidth(text, fontSize) <= maxWidth) return text;
+  let s = text;
+  while (s.length > 1 && approxTextWidth(`${s}…`, fontSize) > maxWidth) s = s.slice(0, -1);
+  return `${s.trimEnd()}…`;
+}
+
+/**
+ * Lines for one label, within `maxWidth` and `maxLines`.
+ *
+ * @param {string} name       - display name
+ * @param {string} [short]    - codebook short name (tried when `name` does not fit)
+ * @param {Object} opts       - { maxWidth, fontSize, maxLines }
+ * @returns {{ lines: string[], abbreviated: boolean }}
+ */
+export function fitLabel(name, short, { maxWidth, fontSize, maxLines }) {
+  const full = wrapLabel(name, maxWidth, fontSize);
+  if (fits(full, maxWidth, fontSize, maxLines)) return { lines: full, abbreviated: false };
+
+  if (short && short !== name) {
+    const alt = wrapLabel(short, maxWidth, fontSize);
+    if (fits(alt, maxWidth, fontSize, maxLines)) return { lines: alt, abbreviated: true };
+  }
+
+  // Keep the first lines, ellipsis on the last one that is shown
+  const base = short && short !== name ? wrapLabel(short, maxWidth, fontSize) : full;
+  const kept = base.slice(0, maxLines);
+  const rest = base.slice(maxLines).join(" ");
+  const last = kept.length - 1;
+  const glue = kept[last].endsWith("-") ? "" : " ";
+  kept[last] = truncate(rest ? `${kept[last]}${glue}${rest}` : kept[last], maxWidth, fontSize);
+  return { lines: kept.map(l => truncate(l, maxWidth, fontSize)), abbreviated: true };
+}
+
+/**
+ * Height of a label block (name lines + count line) and the offset of the
+ * first baseline below the block top.
+ */
+export function labelBlockMetrics(nLines, { fontSize, countSize, lineHeight = 1.1, countLineHeight = 1.15 }) {
+  const ascent = ASCENT * fontSize;
+  const height = ascent + lineHeight * fontSize * (nLines - 1) + countLineHeight * countSize + DESCENT * countSize;
+  return { ascent, height };
+}
+
+/**
+ * Spread one axis' labels so their blocks do not overlap.
+ *
+ * @param {Array<{ id, y:number, ascent:number, height:number }>} items
+ *        y = wanted first baseline (node centre)
+ * @param {Object} opts
+ * @param {number} opts.gap    - px between blocks
+ * @param {number} opts.top    - blocks never start above this...
+ * @param {number} opts.bottom - ...or end below this (unless they cannot fit)
+ * @returns {Map<id, number>}  first baseline per label
+ */
+export function spreadLabels(items, { gap = 4, top = -Infinity, bottom = Infinity }) {
+  const sorted = items
+    .map(it => ({ ...it, want: it.y - it.ascent, h: it.height + gap, off: 0 }))
+    .sort((a, b) => a.want - b.want);
+
+  // Blocks of touching labels; a block sits at the mean of its members' wishes
+  const place = b => Math.max(top, Math.min(b.sum / b.n, bottom + gap - b.h));
+  const blocks = [];
+  for (const it of sorted) {
+    let b = { items: [it], h: it.h, sum: it.want, n: 1 };
+    while (blocks.length) {
+      const prev = blocks[blocks.length - 1];
+      if (place(prev) + prev.h <= place(b)) break;
+      blocks.pop();
+      for (const m of b.items) m.off += prev.h;
+      b = {
+        items: prev.items.concat(b.items),
+        h: prev.h + b.h,
+        sum: prev.sum + b.sum - b.n * prev.h,
+        n: prev.n + b.n,
+      };
+    }
+    blocks.push(b);
+  }
+
+  const out = new Map();
+  for (const b of blocks) {
+    const y0 = place(b);
+    for (const m of b.items) out.set(m.id, y0 + m.off + m.ascent);
+  }
+  return out;
+}
@@ -11,30 +11,68 @@ function groupBy(arr, keyFn) {
   return m;
 }
 
+/**
+ * px-per-count scale that fills `available` when no node may be shorter than
+ * `hMin`: nodes held at the minimum take their px out of the budget and the
+ * rest share what is left (repeated until no further node drops below it).
+ */
+function fitScale(values, available, hMin) {
+  const total = values.reduce((s, v) => s + v, 0) || 1;
+  let k = available / total;
+  if (!(hMin > 0)) return k;
+
+  for (let iter = 0; iter < values.length; iter++) {
+    const held = values.filter(v => v * k < hMin);
+    const rest = total - held.reduce((s, v) => s + v, 0);
+    if (rest <= 0) break; // every node at the minimum: the axis overflows
+    const next = Math.max(0, (available - held.length * hMin) / rest);
+    if (next === k) break;
+    k = next;
+  }
+  return k;
+}
+
 /**
  * Compute node and link geometry.
  *
  * Key behaviour:
  * - In ALLUVIAL mode: uses one global px-per-count scale (kGlobal) so ribbon thickness is consistent.
  * - In PARALLEL mode: uses per-axis scaling (kAxis) so every axis fills the available height.
+ * - minNodeHeight: small categories are drawn at least this tall; the scale is
+ *   solved again so each axis still fills (and never exceeds) its height.
+ *   In alluvial mode ribbons keep their true thickness, centred in the taller node.
+ * - focusAxis (fisheye): the gaps on both sides of that axis are widened by
+ *   `focusSpread`, the other gaps share what is left of the width.
+ * - fig: canvas and margins (FIG, or a screen profile's frame; see profile.js).
  */
-export function computeLayout({ nodes, links, axisInfo, mode = "alluvial" }) {
-  const { width, height, margin, nodePadding, axisPaddingX, nodeWidth } = FIG;
+export function computeLayout({
+  nodes,
+  links,
+  axisInfo,
+  mode = "alluvial",
+  minNodeHeight = 0,
+  focusAxis = null,
+  focusSpread = 3,
+  fig = FIG,
+}) {
+  const { width, height, margin, nodePadding, axisPaddingX, nodeWidth } = fig;
 
   const innerW = width - margin.left - margin.right - 2 * axisPaddingX;
   const innerH = height - margin.top - margin.bottom;
 
-  // Total coded instances (rows) = sum of category totals on axis 0.
-  const axis0 = axisInfo?.[0];
-  const totalRows = axis0
-    ? axis0.categories.reduce((s, c) => s + (axis0.totalsByCategory.get(c) || 0), 0)
-    : 0;
-
-  const safeTotal = totalRows > 0 ? totalRows : 1;
+  // Per-axis totals. Normally every axis sums to the number of coded instances,
+  // but "duplicate" multi-coding can make some axes heavier than others.
+  const axisValues = (a) => a.categories.map(c => a.totalsByCategory.get(c) || 0);
+  const hMin = Math.max(0, minNodeHeight || 0);
 
-  // X positions per axis
-  const axisGap = innerW / Math.max(1, axisInfo.length - 1);
-  const axisX = axisInfo.map(a => margin.left + axisPaddingX + a.index * axisGap);
+  // X positions per axis: equal gaps, unless one axis is in focus
+  const focusPos = axisInfo.findIndex(a => a.axis === focusAxis);
+  const gapWeights = axisInfo.slice(1).map((_, i) =>
+    (focusPos >= 0 && (i === focusPos || i + 1 === focusPos) ? focusSpread : 1));
+  const weightSum = gapWeights.reduce((s, w) => s + w, 0) || 1;
+  const gapStart = [0];
+  for (const w of gapWeights) gapStart.push(gapStart[gapStart.length - 1] + w);
+  const axisX = axisInfo.map(a => margin.left + axisPaddingX + (innerW * gapStart[a.index]) / weightSum);
 
   // Group nodes
   const nodesByAxis = groupBy(nodes, d => d.index);
@@ -44,7 +82,7 @@ export function computeLayout({ nodes, links, axisInfo, mode = "alluvial" }) {
   const scaleCandidates = axisInfo.map(a => {
     const n = a.categories.length;
     const available = innerH - nodePadding * Math.max(0, n - 1);
-    return available / safeTotal;
+    return fitScale(axisValues(a), available, hMin);
   });
   const kGlobal = Math.min(...scaleCandidates);
 
@@ -59,7 +97,7 @@ export function computeLayout({ nodes, links, axisInfo, mode = "alluvial" }) {
 
     // In parallel mode, let each axis fill the full height (kAxis).
     // In alluvial mode, keep global k so ribbons are consistent.
-    const kUse = (mode === "parallel") ? (available / safeTotal) : kGlobal;
+    const kUse = (mode === "parallel") ? fitScale(axisValues(a), available, hMin) : kGlobal;
 
     // In both modes, top-align rather than centring (prevents “floating”).
     // If you ever want centring back in alluvial, change yStart accordingly.
@@ -71,7 +109,7 @@ export function computeLayout({ nodes, links, axisInfo, mode = "alluvial" }) {
       node.x1 = axisX[a.index] + nodeWidth / 2;
 
       node.y0 = y;
-      node.y1 = y + node.value * kUse;
+      node.y1 = y + Math.max(node.value * kUse, hMin);
 
       y = node.y1 + nodePadding;
     }
@@ -81,6 +119,9 @@ export function computeLayout({ nodes, links, axisInfo, mode = "alluvial" }) {
   const outByNode = new Map();
   const inByNode = new Map();
 
+  // Ribbons stack from the top of the node, or centred when it was raised to hMin
+  const ribbonStart = (n) => Math.max(0, (n.y1 - n.y0) - n.value * kGlobal) / 2;
+
   const nodeOrder = (id) => nodesById.get(id)?.order ?? 0;
   const nodeAxisIndex = (id) => nodesById.get(id)?.index ?? 0;
 
@@ -106,8 +147,8 @@ export function computeLayout({ nodes, links, axisInfo, mode = "alluvial" }) {
     // IMPORTANT: always use kGlobal for ribbon thickness consistency
     const thickness = (l.value ?? 0) * kGlobal;
 
-    const so = outByNode.get(s.id) || 0;
-    const ti = inByNode.get(t.id) || 0;
+    const so = outByNode.get(s.id) ?? ribbonStart(s);
+    const ti = inByNode.get(t.id) ?? ribbonStart(t);
 
     l.x0 = s.x1;
     l.x1 = t.x0;
@@ -124,3 +165,59 @@ export function computeLayout({ nodes, links, axisInfo, mode = "alluvial" }) {
   return { k: kGlobal, axisX, nodesById, linksSorted };
 }
 
+
+/**
+ * Split laid-out alluvial links into stacked sub-ribbons, one per colour key.
+ *
+ * Each link's band (y0a..y0b at the source, y1a..y1b at the target) is divided
+ * proportionally to its byCluster shares, stacked in `keyOrder` so the same key
+ * sits in the same relative slot on every ribbon.
+ *
+ * @param {Array} linksSorted - links from computeLayout (with geometry)
+ * @param {Array<string>} keyOrder - preferred stacking order of colour keys
+ * @returns {Array} sub-ribbons: { source, target, key, value, x0, x1, y0a, y0b, y1a, y1b }
+ */
+export function splitRibbons(linksSorted, keyOrder = []) {
+  const rank = new Map(keyOrder.map((k, i) => [k, i]));
+  const byRank = (a, b) => {
+    const ra = rank.get(a) ?? Infinity;
+    const rb = rank.get(b) ?? Infinity;
+    if (ra !== rb) return ra - rb;
+    return String(a).localeCompare(String(b));
+  };
+
+  const out = [];
+  for (const l of linksSorted) {
+    if (l.x0 == null || !(l.value > 0)) continue;
+
+    const h0 = l.y0b - l.y0a;
+    const h1 = l.y1b - l.y1a;
+
+    let y0 = l.y0a;
+    let y1 = l.y1a;
+    const keys = Object.keys(l.byCluster || {}).sort(byRank);
+
+    for (const key of keys) {
+      const value = l.byCluster[key] || 0;
+      if (value <= 0) continue;
+      const share = value / l.value;
+
+      out.push({
+        source: l.source,
+        target: l.target,
+        key,
+        value,
+        x0: l.x0,
+        x1: l.x1,
+        y0a: y0,
+        y0b: y0 + h0 * share,
+        y1a: y1,
+        y1b: y1 + h1 * share,
+      });
+
+      y0 += h0 * share;
+      y1 += h1 * share;
+    }
+  }
+  return out;
+}
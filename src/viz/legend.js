@@ -0,0 +1,143 @@
+// src/viz/legend.js
+// Figure legend: colour key for the colour-by attribute and, in parallel mode,
+// the line-width key (strand width scales with Design-Concept size).
+// - Lists only categories that occur in the data on show
+// - Laid out inside a given margin box (top-left corner beside the title):
+//   entries wrap into rows, and the type shrinks until the rows fit
+// - Text widths are estimated (no DOM measuring), so it also runs headless
+
+const CHAR_W = 0.56; // average glyph width / font size (sans-serif)
+
+export function approxTextWidth(text, fontSize) {
+  return String(text).length * fontSize * CHAR_W;
+}
+
+/**
+ * @param {d3.Selection} g - parent group
+ * @param {Object} args
+ * @param {string} args.colorTitle                       - e.g. "Design-Concept"
+ * @param {Array<{label:string, color:string}>} args.colorItems
+ * @param {{title:string, items:Array<{label:string, width:number}>}|null} [args.widthKey]
+ * @param {{x0:number, x1:number, y0:number, y1:number}} args.box - area to stay inside
+ * @param {number} args.fontSize
+ * @param {number} [args.minFontSize]
+ * @param {string} args.ink
+ * @param {string} args.muted
+ */
+export function drawLegend(g, {
+  colorTitle,
+  colorItems,
+  widthKey = null,
+  box,
+  fontSize,
+  minFontSize = 11,
+  ink,
+  muted,
+}) {
+  // Entries in reading order; each knows its own width at a given font size
+  const entries = [];
+  entries.push({ kind: "title", text: `${colorTitle}:` });
+  for (const it of colorItems) entries.push({ kind: "swatch", ...it });
+  if (widthKey?.items.length) {
+    entries.push({ kind: "break" });
+    entries.push({ kind: "title", text: `${widthKey.title}:` });
+    for (const it of widthKey.items) entries.push({ kind: "line", ...it });
+  }
+
+  const measure = (e, fs) => {
+    const sw = fs * 0.9;
+    if (e.kind === "title") return approxTextWidth(e.text, fs) + fs * 0.5;
+    if (e.kind === "swatch") return sw + fs * 0.35 + approxTextWidth(e.label, fs) + fs;
+    if (e.kind === "line") return fs * 2.2 + fs * 0.35 + approxTextWidth(e.label, fs) + fs;
+    return 0;
+  };
+
+  const availW = Math.max(0, box.x1 - box.x0);
+  const availH = Math.max(0, box.y1 - box.y0);
+  const rowHeight = fs => fs * 1.5;
+
+  function wrap(fs) {
+    const rows = [[]];
+    let used = 0;
+    for (const e of entries) {
+      if (e.kind === "break") {
+        if (rows.at(-1).length) rows.push([]);
+        used = 0;
+        continue;
+      }
+      const w = measure(e, fs);
+      if (used + w > availW && rows.at(-1).length) {
+        rows.push([]);
+        used = 0;
+      }
+      rows.at(-1).push({ ...e, w });
+      used += w;
+    }
+    return rows;
+  }
+
+  // Largest type size whose rows fit the box (floor: minFontSize)
+  let fs = fontSize;
+  let rows = wrap(fs);
+  while (fs > minFontSize && rows.length * rowHeight(fs) > availH) {
+    fs = Math.max(minFontSize, fs - 0.5);
+    rows = wrap(fs);
+  }
+
+  const rowH = rowHeight(fs);
+  const legend = g.append("g").attr("class", "legend");
+
+  rows.forEach((row, ri) => {
+    const cy = box.y0 + ri * rowH + rowH / 2;
+    let x = box.x0;
+
+    for (const e of row) {
+      if (e.kind === "title") {
+        legend.append("text")
+          .attr("x", x)
+          .attr("y", cy)
+          .attr("dominant-baseline", "middle")
+          .attr("fill", muted)
+          .attr("font-size", fs)
+          .attr("font-weight", 600)
+          .text(e.text);
+      } else if (e.kind === "swatch") {
+        const sw = fs * 0.9;
+        legend.append("rect")
+          .attr("x", x)
+          .attr("y", cy - sw / 2)
+          .attr("width", sw)
+          .attr("height", sw)
+          .attr("rx", 2)
+          .attr("fill", e.color);
+        legend.append("text")
+          .attr("x", x + sw + fs * 0.35)
+          .attr("y", cy)
+          .attr("dominant-baseline", "middle")
+          .attr("fill", ink)
+          .attr("font-size", fs)
+          .text(e.label);
+      } else if (e.kind === "line") {
+        legend.append("line")
+          .attr("x1", x)
+          .attr("x2", x + fs * 2.2)
+          .attr("y1", cy)
+          .attr("y2", cy)
+          .attr("stroke", ink)
+          .attr("stroke-opacity", 0.7)
+          .attr("stroke-width", e.width)
+          .attr("stroke-linecap", "round");
+        legend.append("text")
+          .attr("x", x + fs * 2.2 + fs * 0.35)
+          .attr("y", cy)
+          .attr("dominant-baseline", "middle")
+          .attr("fill", ink)
+          .attr("font-size", fs)
+          .text(e.label);
+      }
+      x += e.w;
+    }
+  });
+
+  return legend;
+}
@@ -0,0 +1,275 @@
+// src/viz/loader.js
+// Client-side dataset loading (no server involved).
+// - Parses CSV, TSV or a JSON array of objects (by extension or MIME type,
+//   sniffing the text only when neither says)
+// - Guesses a column mapping (ID, text, axes) that the user confirms/edits
+// - File picker button + drag-and-drop onto the page
+
+import * as d3 from "d3";
+import { AXES, DATA } from "./config.js";
+
+const FORMAT_BY_EXT = { csv: "csv", tsv: "tsv", tab: "tsv", json: "json" };
+const FORMAT_BY_MIME = {
+  "text/csv": "csv",
+  "application/csv": "csv",
+  "text/tab-separated-values": "tsv",
+  "application/json": "json",
+  "text/json": "json",
+};
+
+// Unknown extension and type: JSON is an array of objects ("[{" or "[]"; a CSV
+// header may start with "[" too), a tab in the first line means TSV
+function sniffFormat(text) {
+  const head = String(text).trimStart();
+  if (/^\[\s*[{\]]/.test(head)) return "json";
+  return head.split(/\r?\n/, 1)[0].includes("\t") ? "tsv" : "csv";
+}
+
+/**
+ * Parse dataset text into d3-style rows (string values, `rows.columns` set).
+ *
+ * @param {string} text
+ * @param {string} [filename] - format from the extension (.csv/.tsv/.tab/.json)
+ * @param {string} [mimeType] - used when the extension is unknown (File.type)
+ * @returns {{ rows: Array<Object>, format: "csv"|"tsv"|"json" }}
+ */
+export function parseDataset(text, filename = "", mimeType = "") {
+  const base = String(filename).toLowerCase().split(/[\\/]/).pop();
+  const ext = base.includes(".") ? base.split(".").pop() : "";
+  const mime = String(mimeType).toLowerCase().split(";")[0].trim();
+  const format = FORMAT_BY_EXT[ext] ?? FORMAT_BY_MIME[mime] ?? sniffFormat(text);
+
+  if (format === "csv") return { rows: d3.csvParse(text), format };
+  if (format === "tsv") return { rows: d3.tsvParse(text), format };
+
+  const data = JSON.parse(text);
+  if (!Array.isArray(data) || data.some(d => d == null || typeof d !== "object")) {
+    throw new Error("JSON datasets must be an array of objects (one per coded instance).");
+  }
+
+  // Column order: first-seen order of keys across all records
+  const columns = [];
+  const seen = new Set();
+  const rows = data.map(d => {
+    const r = {};
+    for (const [k, v] of Object.entries(d)) {
+      if (!seen.has(k)) { seen.add(k); columns.push(k); }
+      r[k] = v == null ? "" : String(v);
+    }
+    return r;
+  });
+  rows.columns = columns;
+  return { rows, format };
+}
+
+/**
+ * Best-effort mapping for a freshly loaded dataset.
+ * - ID:   a column called "id" (any case), else the first column
+ * - text: DATA.textColumn if present, else the column with the longest values
+ * - axes: config AXES that exist, else every remaining low-cardinality column
+ */
+export function guessMapping(rows) {
+  const columns = rows.columns || Object.keys(rows[0] || {});
+  const lower = new Map(columns.map(c => [c.toLowerCase(), c]));
+
+  const idColumn = columns.includes(DATA.idColumn)
+    ? DATA.idColumn
+    : (lower.get("id") ?? columns[0] ?? "");
+
+  const meanLength = c => d3.mean(rows, r => String(r[c] ?? "").length) ?? 0;
+  const textColumn = columns.includes(DATA.textColumn)
+    ? DATA.textColumn
+    : (d3.greatest(columns.filter(c => c !== idColumn), meanLength) ?? "");
+
+  const rest = columns.filter(c => c !== idColumn && c !== textColumn);
+  let axes = AXES.filter(a => rest.includes(a));
+  if (axes.length < 2) {
+    // Categorical columns: at most half as many distinct values as rows (and <= 40)
+    const maxDistinct = Math.min(40, Math.max(2, rows.length / 2));
+    axes = rest.filter(c => new Set(rows.map(r => String(r[c] ?? "").trim())).size <= maxDistinct);
+  }
+
+  return { idColumn, textColumn, axes };
+}
+
+/**
+ * Rename legacy column headers in place (e.g. "Concept Cluster" -> "Design-Concept").
+ * A header is left alone when its new name is already taken.
+ */
+export function applyColumnAliases(rows, aliases = DATA.columnAliases || {}) {
+  const columns = rows.columns || Object.keys(rows[0] || {});
+  const renames = Object.entries(aliases)
+    .filter(([from, to]) => columns.includes(from) && !columns.includes(to));
+  if (!renames.length) return rows;
+
+  for (const r of rows) {
+    for (const [from, to] of renames) {
+      r[to] = r[from];
+      delete r[from];
+    }
+  }
+  const byOld = new Map(renames);
+  rows.columns = columns.map(c => byOld.get(c) ?? c);
+  return rows;
+}
+
+export async function readDatasetFile(file) {
+  const text = await file.text();
+  const { rows, format } = parseDataset(text, file.name, file.type);
+  return { rows: applyColumnAliases(rows), format, name: file.name };
+}
+
+// -----------------------------
+// UI
+// -----------------------------
+
+const DATASET_TYPES = ".csv,.tsv,.tab,.json,text/csv,text/tab-separated-values,application/json";
+
+/**
+ * "Open dataset" button with a hidden file input.
+ */
+export function renderFileButton(host, {
+  onFile,
+  label = "Open dataset…",
+  className = "dataset-open",
+  accept = DATASET_TYPES,
+}) {
+  const input = host.append("input")
+    .attr("type", "file")
+    .attr("accept", accept)
+    .attr("hidden", true)
+    .on("change", function () {
+      const file = this.files?.[0];
+      this.value = "";
+      if (file) onFile(file);
+    });
+
+  host.append("button")
+    .attr("type", "button")
+    .attr("class", className)
+    .text(label)
+    .on("click", () => input.node().click());
+}
+
+/**
+ * Accept files dropped anywhere on `target` (the drop highlight is CSS-driven).
+ */
+export function attachDropZone(target, { onFile }) {
+  let depth = 0; // dragenter/dragleave fire for every child element
+
+  target
+    .on("dragenter", (event) => {
+      if (!event.dataTransfer?.types?.includes("Files")) return;
+      event.preventDefault();
+      depth += 1;
+      target.classed("is-drop-target", true);
+    })
+    .on("dragover", (event) => {
+      if (event.dataTransfer?.types?.includes("Files")) event.preventDefault();
+    })
+    .on("dragleave", () => {
+      depth = Math.max(0, depth - 1);
+      if (!depth) target.classed("is-drop-target", false);
+    })
+    .on("drop", (event) => {
+      event.preventDefault();
+      depth = 0;
+      target.classed("is-drop-target", false);
+      const file = event.dataTransfer?.files?.[0];
+      if (file) onFile(file);
+    });
+}
+
+/**
+ * Column-mapping step shown after a file is loaded.
+ *
+ * @param {d3.Selection} host
+ * @param {Object} args
+ * @param {string} args.name       - dataset name (file name)
+ * @param {Array<Object>} args.rows
+ * @param {{idColumn:string, textColumn:string, axes:Array<string>}} args.mapping - initial guess
+ * @param {(mapping:Object)=>void} args.onApply
+ * @param {()=>void} args.onCancel
+ */
+export function renderMappingDialog(host, { name, rows, mapping, onApply, onCancel }) {
+  host.selectAll("*").remove();
+
+  const columns = rows.columns || [];
+  const state = { ...mapping, axes: mapping.axes.slice() };
+
+  const dialog = host.append("div")
+    .attr("class", "mapping-dialog")
+    .attr("role", "dialog")
+    .attr("aria-label", "Map dataset columns");
+
+  dialog.append("h2").text(`Map columns: ${name}`);
+  dialog.append("p")
+    .attr("class", "mapping-summary")
+    .text(`${rows.length} rows, ${columns.length} columns`);
+
+  function columnSelect(label, key) {
+    const field = dialog.append("label").attr("class", "mapping-field");
+    field.append("span").text(label);
+    const sel = field.append("select")
+      .on("change", function () {
+        state[key] = this.value;
+        state.axes = state.axes.filter(a => a !== this.value);
+        drawAxes();
+      });
+    sel.selectAll("option")
+      .data([""].concat(columns))
+      .join("option")
+      .attr("value", d => d)
+      .property("selected", d => d === state[key])
+      .text(d => d || "(none)");
+  }
+
+  columnSelect("ID column", "idColumn");
+  columnSelect("Text column", "textColumn");
+
+  dialog.append("div").attr("class", "mapping-field-title").text("Axis columns (in order)");
+  const axesList = dialog.append("ul").attr("class", "mapping-axes");
+
+  function drawAxes() {
+    axesList.selectAll("*").remove();
+    const candidates = columns.filter(c => c !== state.idColumn && c !== state.textColumn);
+    const ordered = state.axes.filter(a => candidates.includes(a))
+      .concat(candidates.filter(c => !state.axes.includes(c)));
+
+    for (const col of ordered) {
+      const li = axesList.append("li");
+      const label = li.append("label");
+      label.append("input")
+        .attr("type", "checkbox")
+        .property("checked", state.axes.includes(col))
+        .on("change", function () {
+          state.axes = this.checked
+            ? state.axes.concat([col])
+            : state.axes.filter(a => a !== col);
+          drawAxes();
+        });
+      label.append("span").text(col);
+    }
+
+    apply.property("disabled", state.axes.length < 2);
+  }
+
+  const buttons = dialog.append("div").attr("class", "mapping-buttons");
+  buttons.append("button")
+    .attr("type", "button")
+    .text("Cancel")
+    .on("click", () => {
+      host.selectAll("*").remove();
+      onCancel?.();
+    });
+  const apply = buttons.append("button")
+    .attr("type", "button")
+    .attr("class", "is-primary")
+    .text("Show map")
+    .on("click", () => {
+      host.selectAll("*").remove();
+      onApply({ ...state });
+    });
+
+  drawAxes();
+}
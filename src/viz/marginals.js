@@ -3,6 +3,22 @@
 // Designed for publication: low visual weight, aligned to existing node centres.
 
 import * as d3 from "d3";
+import { splitCell } from "./preprocess.js";
+
+/**
+ * Weighted category totals for one axis (multi-coded cells split as in the map).
+ *
+ * @returns {Map<string, number>} label -> count
+ */
+export function categoryTotals(rows, axis, multi) {
+  const totals = new Map();
+  for (const r of rows) {
+    for (const { label, w } of splitCell(axis, r[axis], multi)) {
+      totals.set(label, (totals.get(label) || 0) + w);
+    }
+  }
+  return totals;
+}
 
 /**
  * Draw a vertical dot strip aligned to category y-centres.
@@ -15,12 +31,14 @@ import * as d3 from "d3";
  * @param {number} args.x                - x position of dots
  * @param {number} args.rMin             - minimum dot radius
  * @param {number} args.rMax             - maximum dot radius
+ * @param {number} [args.vMax]           - value at rMax (share it to compare strips; default: strip max)
  * @param {(label:string)=>string} [args.fill] - optional colour per label
  * @param {number} [args.fillOpacity]    - dot opacity
  * @param {string} [args.stroke]         - dot stroke
  * @param {number} [args.strokeOpacity]  - stroke opacity
  * @param {number} [args.strokeWidth]    - stroke width
  * @param {string} [args.className]      - css class
+ * @returns {d3.ScaleContinuousNumeric} the radius scale (for a legend)
  */
 export function drawDotStrip({
   g,
@@ -30,6 +48,7 @@ export function drawDotStrip({
   x,
   rMin = 2.5,
   rMax = 10,
+  vMax = null,
   fill = () => "#111827",
   fillOpacity = 0.18,
   stroke = "rgba(17,24,39,0.25)",
@@ -41,11 +60,11 @@ export function drawDotStrip({
     .map((lab) => totalsByCategory.get(lab) || 0)
     .filter((v) => Number.isFinite(v));
 
-  const vMax = vals.length ? d3.max(vals) : 1;
+  const domainMax = vMax ?? (vals.length ? d3.max(vals) : 1);
 
   const r = d3
     .scaleSqrt()
-    .domain([0, vMax || 1])
+    .domain([0, domainMax || 1])
     .range([rMin, rMax]);
 
   const data = categories
@@ -71,5 +90,59 @@ export function drawDotStrip({
     .attr("stroke", stroke)
     .attr("stroke-opacity", strokeOpacity)
     .attr("stroke-width", strokeWidth);
+
+  return r;
+}
+
+/**
+ * Size key for dot strips: a title and a row of reference dots.
+ * Drawn right-aligned so it can sit against the figure's right edge.
+ *
+ * @param {Object} args
+ * @param {d3.Selection} args.g
+ * @param {d3.ScaleContinuousNumeric} args.r - radius scale returned by drawDotStrip
+ * @param {number} args.x                    - right edge
+ * @param {number} args.y                    - baseline (dot bottoms)
+ * @param {string} [args.title]
+ * @param {number} [args.fontSize]
+ * @param {string} [args.ink]
+ */
+export function drawDotLegend({ g, r, x, y, title = "Instances", fontSize = 16, ink = "#111827" }) {
+  const vMax = r.domain()[1];
+  const values = d3.ticks(0, vMax, 3).filter(v => v > 0).slice(-3);
+
+  const key = g.append("g").attr("class", "marginal-legend");
+  let cursor = x;
+
+  for (const v of values.slice().reverse()) {
+    const rad = r(v);
+    key.append("circle")
+      .attr("cx", cursor - rad)
+      .attr("cy", y - rad)
+      .attr("r", rad)
+      .attr("fill", ink)
+      .attr("fill-opacity", 0.18)
+      .attr("stroke", ink)
+      .attr("stroke-opacity", 0.4);
+    key.append("text")
+      .attr("x", cursor - rad)
+      .attr("y", y + fontSize)
+      .attr("text-anchor", "middle")
+      .attr("fill", ink)
+      .attr("font-size", fontSize * 0.85)
+      .text(v);
+    cursor -= 2 * rad + 14;
+  }
+
+  key.append("text")
+    .attr("x", cursor)
+    .attr("y", y - r(values[0] ?? vMax))
+    .attr("text-anchor", "end")
+    .attr("dominant-baseline", "middle")
+    .attr("fill", ink)
+    .attr("font-size", fontSize)
+    .text(title);
+
+  return key;
 }
 
@@ -1,8 +1,18 @@
 // src/viz/ordering.js
-// Barycentric crossing-reduction for category axes.
-// - Reorders categories on each axis using adjacent-link weights
-// - Allows locking an axis (e.g., Concept Cluster)
+// Crossing reduction for category axes.
+// - Pluggable one-axis strategies (ORDERING_STRATEGIES): barycentric, median,
+//   greedy adjacent swaps, and an exact solver for small axes
+// - Layer sweeps (forward + backward) run the strategy against the neighbouring
+//   axis; an optional greedy pass then refines against both neighbours
+// - Several axes can be locked (e.g. Design-Concept); single categories can be
+//   pinned to a position
+// - Manual orders (dragged in the figure) are constraints: the listed categories
+//   keep that relative order, unlisted ones (e.g. new in the data) are placed freely.
+//   Cost-based strategies (greedy, exact) optimise under them; score-based ones
+//   (barycentric, median) are projected onto them
 // - Keeps `missingLabel` (e.g., "Missing") at the end
+// - Reports the weighted crossing count before and after, per adjacent pair
+//   (one crossing of strands of weights w1 and w2 counts w1 * w2)
 
 function splitNodeId(id) {
   const i = id.indexOf("::");
@@ -41,115 +51,299 @@ function buildPairLinks(axisInfo, linkAgg) {
   return pairLinks;
 }
 
-function reorderBarycentricAxisInfo(axisInfo, pairLinks, { lockAxisName, missingLabel, iterations }) {
-  const nAxes = axisInfo.length;
-  if (nAxes <= 2) return;
-
-  const lockPos = axisInfo.findIndex(a => a.axis === lockAxisName);
-
-  // position maps: axis position -> Map<label, position>
-  const pos = Array.from({ length: nAxes }, () => new Map());
-
-  function refreshPos(i) {
-    pos[i].clear();
-    axisInfo[i].categories.forEach((lab, idx) => pos[i].set(lab, idx));
+// Same links seen from the target axis: Map<tgtLabel, Map<srcLabel, weight>>
+function invertLinks(links) {
+  const out = new Map();
+  for (const [src, toMap] of links) {
+    for (const [tgt, w] of toMap) {
+      if (!out.has(tgt)) out.set(tgt, new Map());
+      out.get(tgt).set(src, w);
+    }
   }
-  for (let i = 0; i < nAxes; i++) refreshPos(i);
+  return out;
+}
 
-  const isLocked = (i) => i === lockPos;
+// -----------------------------
+// Crossing counts
+// -----------------------------
+
+/** Weighted crossings between two adjacent axes, given both category orders. */
+export function pairCrossings(links, srcOrder, tgtOrder) {
+  const sp = new Map(srcOrder.map((l, i) => [l, i]));
+  const tp = new Map(tgtOrder.map((l, i) => [l, i]));
+  const edges = [];
+  for (const [src, toMap] of links) {
+    for (const [tgt, w] of toMap) {
+      if (w > 0 && sp.has(src) && tp.has(tgt)) edges.push([sp.get(src), tp.get(tgt), w]);
+    }
+  }
 
-  function splitMissing(categories, totalsByCategory) {
-    const missingCount = missingLabel ? (totalsByCategory.get(missingLabel) || 0) : 0;
-    const base = missingLabel ? categories.filter(l => l !== missingLabel) : categories.slice();
-    return { base, hasMissing: missingLabel ? (missingCount > 0) : false };
+  let total = 0;
+  for (let i = 0; i < edges.length; i++) {
+    const [s1, t1, w1] = edges[i];
+    for (let j = i + 1; j < edges.length; j++) {
+      const [s2, t2, w2] = edges[j];
+      if ((s1 - s2) * (t1 - t2) < 0) total += w1 * w2;
+    }
   }
+  return total;
+}
 
-  function applyReorder(i, scores) {
-    const a = axisInfo[i];
-    const { base, hasMissing } = splitMissing(a.categories, a.totalsByCategory);
+function crossingCounts(axisInfo, pairLinks) {
+  return pairLinks.map((links, i) => pairCrossings(links, axisInfo[i].categories, axisInfo[i + 1].categories));
+}
 
-    const currentPos = pos[i];
+// -----------------------------
+// Strategies: one axis at a time, against fixed neighbour orders
+// -----------------------------
 
-    base.sort((u, v) => {
-      const su = scores.get(u);
-      const sv = scores.get(v);
+// The exact solver's tables hold 2^n entries: beyond this, whatever exactMax
+// says (config, URL), larger axes fall back to greedy swaps
+const EXACT_LIMIT = 16;
 
-      // unlinked categories go to the end (stable)
-      if (su == null && sv == null) return (currentPos.get(u) ?? 0) - (currentPos.get(v) ?? 0);
-      if (su == null) return 1;
-      if (sv == null) return -1;
+/**
+ * Each strategy reorders the free categories of one axis and returns them.
+ * `ctx`:
+ *   - labels:          the free categories in their current order
+ *   - sides:           [{ pos: Map<label, index>, weights: Map<label, Map<label, w>> }]
+ *                      one entry per neighbouring axis taken into account
+ *   - cost(u, v):      weighted crossings added when u sits above v
+ *   - exactMax:        largest axis the exact solver takes on (at most EXACT_LIMIT)
+ */
+export const ORDERING_STRATEGIES = {
+  barycentric: ctx => sortByScore(ctx.labels, label => barycentre(ctx.sides, label)),
+  median: ctx => sortByScore(ctx.labels, label => weightedMedian(ctx.sides, label)),
+  greedy: ctx => greedySwaps(ctx.labels, ctx.cost),
+  exact: ctx => (ctx.labels.length <= Math.min(ctx.exactMax, EXACT_LIMIT)
+    ? exactOrder(ctx.labels, ctx.cost)
+    : ORDERING_STRATEGIES.greedy(ctx)),
+};
+
+function neighbourPositions(sides, label) {
+  const out = [];
+  for (const { pos, weights } of sides) {
+    for (const [other, w] of weights.get(label) ?? []) {
+      const p = pos.get(other);
+      if (p != null && w > 0) out.push([p, w]);
+    }
+  }
+  return out;
+}
 
-      if (su !== sv) return su - sv;
-      return (currentPos.get(u) ?? 0) - (currentPos.get(v) ?? 0);
-    });
+function barycentre(sides, label) {
+  let n = 0;
+  let d = 0;
+  for (const [p, w] of neighbourPositions(sides, label)) {
+    n += w * p;
+    d += w;
+  }
+  return d > 0 ? n / d : null;
+}
 
-    a.categories = hasMissing ? base.concat([missingLabel]) : base;
-    refreshPos(i);
+function weightedMedian(sides, label) {
+  const pts = neighbourPositions(sides, label).sort((a, b) => a[0] - b[0]);
+  const total = pts.reduce((s, [, w]) => s + w, 0);
+  if (!(total > 0)) return null;
+
+  let acc = 0;
+  for (let i = 0; i < pts.length; i++) {
+    acc += pts[i][1];
+    // Exactly half the weight on each side: midway between the two middle positions
+    if (Math.abs(acc - total / 2) < 1e-9 && i + 1 < pts.length) return (pts[i][0] + pts[i + 1][0]) / 2;
+    if (acc > total / 2) return pts[i][0];
   }
+  return pts[pts.length - 1][0];
+}
 
-  // scores for axis i based on prev axis positions using links (i-1 -> i)
-  function scoresFromPrev(i) {
-    const scores = new Map();
-    if (i <= 0) return scores;
+// Unlinked categories (score null) go to the end; ties keep the current order
+function sortByScore(labels, scoreOf) {
+  const cur = new Map(labels.map((l, i) => [l, i]));
+  const score = new Map(labels.map(l => [l, scoreOf(l)]));
+  return labels.slice().sort((u, v) => {
+    const su = score.get(u);
+    const sv = score.get(v);
+    if (su == null && sv == null) return cur.get(u) - cur.get(v);
+    if (su == null) return 1;
+    if (sv == null) return -1;
+    if (su !== sv) return su - sv;
+    return cur.get(u) - cur.get(v);
+  });
+}
 
-    const prevPos = pos[i - 1];
-    const links = pairLinks[i - 1];
+function greedySwaps(labels, cost) {
+  const order = labels.slice();
+  let improved = true;
+  for (let pass = 0; improved && pass < order.length * order.length; pass++) {
+    improved = false;
+    for (let i = 0; i + 1 < order.length; i++) {
+      const u = order[i];
+      const v = order[i + 1];
+      if (cost(v, u) < cost(u, v) - 1e-9) {
+        order[i] = v;
+        order[i + 1] = u;
+        improved = true;
+      }
+    }
+  }
+  return order;
+}
 
-    const num = new Map();
-    const den = new Map();
+// Dynamic programme over subsets (placed prefix): optimal for the given sides
+function exactOrder(labels, cost) {
+  const n = labels.length;
+  if (n <= 1) return labels.slice();
+
+  const c = labels.map(u => labels.map(v => (u === v ? 0 : cost(u, v))));
+  const size = 1 << n;
+  const best = new Float64Array(size).fill(Infinity);
+  const last = new Int8Array(size).fill(-1);
+  best[0] = 0;
+
+  for (let S = 0; S < size; S++) {
+    if (best[S] === Infinity) continue;
+    for (let v = 0; v < n; v++) {
+      if (S & (1 << v)) continue;
+      // v goes below everything already placed
+      let add = 0;
+      for (let u = 0; u < n; u++) if (S & (1 << u)) add += c[u][v];
+      const T = S | (1 << v);
+      if (best[S] + add < best[T] - 1e-9) {
+        best[T] = best[S] + add;
+        last[T] = v;
+      }
+    }
+  }
 
-    for (const [srcLabel, toMap] of links.entries()) {
-      const p = prevPos.get(srcLabel);
-      if (p == null) continue;
+  const order = [];
+  for (let S = size - 1; S; S &= ~(1 << last[S])) order.push(labels[last[S]]);
+  return order.reverse();
+}
 
-      for (const [tgtLabel, w] of toMap.entries()) {
-        if (w <= 0) continue;
-        num.set(tgtLabel, (num.get(tgtLabel) || 0) + w * p);
-        den.set(tgtLabel, (den.get(tgtLabel) || 0) + w);
+// cost(u, v): crossings between u's and v's strands when u sits above v
+function pairCost(sides) {
+  return (u, v) => {
+    let total = 0;
+    for (const { pos, weights } of sides) {
+      const wu = weights.get(u);
+      const wv = weights.get(v);
+      if (!wu || !wv) continue;
+      for (const [a, w1] of wu) {
+        const pa = pos.get(a);
+        if (pa == null) continue;
+        for (const [b, w2] of wv) {
+          const pb = pos.get(b);
+          if (pb != null && pa > pb) total += w1 * w2;
+        }
       }
     }
+    return total;
+  };
+}
 
-    for (const [tgtLabel, n] of num.entries()) {
-      const d = den.get(tgtLabel) || 0;
-      if (d > 0) scores.set(tgtLabel, n / d);
-    }
-    return scores;
+// Manual order as a hard constraint on cost(u, v): a listed label never sits
+// above one listed before it
+function constrainedCost(cost, manualList, labels) {
+  const rank = new Map((manualList ?? []).filter(l => labels.includes(l)).map((l, i) => [l, i]));
+  if (rank.size < 2) return cost;
+  return (u, v) => (rank.has(u) && rank.has(v) && rank.get(u) > rank.get(v) ? Infinity : cost(u, v));
+}
+
+// -----------------------------
+// Sweeps
+// -----------------------------
+
+// Pinned labels at their positions (negative = from the end), free labels around them
+function placePinned(free, pins) {
+  if (!pins.length) return free;
+  const n = free.length + pins.length;
+  const slot = p => (p < 0 ? n + p : p);
+  const out = new Array(n).fill(undefined);
+  const sorted = pins
+    .map(([label, p]) => [label, Math.max(0, Math.min(n - 1, slot(p)))])
+    .sort((a, b) => a[1] - b[1]);
+  for (const [label, p] of sorted) {
+    let i = p;
+    while (out[i] !== undefined && i < n - 1) i++;
+    while (out[i] !== undefined) i--;
+    out[i] = label;
   }
+  let k = 0;
+  return out.map(l => (l === undefined ? free[k++] : l));
+}
+
+// Listed labels take the slots the strategy gave them, refilled in the manual order
+function followManual(ordered, manualList) {
+  if (!manualList?.length) return ordered;
+  const inOrder = manualList.filter(l => ordered.includes(l));
+  const listed = new Set(inOrder);
+  let k = 0;
+  return ordered.map(l => (listed.has(l) ? inOrder[k++] : l));
+}
 
-  // scores for axis i based on next axis positions using links (i -> i+1)
-  function scoresFromNext(i) {
-    const scores = new Map();
-    if (i >= nAxes - 1) return scores;
+function sweep(axisInfo, pairLinks, { strategy, refine, locked, pinned, manual, missingLabel, iterations, exactMax }) {
+  const nAxes = axisInfo.length;
+  const prevWeights = pairLinks.map(invertLinks); // prevWeights[i - 1]: axis i -> axis i - 1
 
-    const nextPos = pos[i + 1];
-    const links = pairLinks[i];
+  const pos = axisInfo.map(a => new Map(a.categories.map((l, i) => [l, i])));
+  const side = (i, dir) => (dir < 0
+    ? { pos: pos[i - 1], weights: prevWeights[i - 1] }
+    : { pos: pos[i + 1], weights: pairLinks[i] });
 
-    for (const [srcLabel, toMap] of links.entries()) {
-      let n = 0;
-      let d = 0;
-      for (const [tgtLabel, w] of toMap.entries()) {
-        const p = nextPos.get(tgtLabel);
-        if (p == null || w <= 0) continue;
-        n += w * p;
-        d += w;
-      }
-      if (d > 0) scores.set(srcLabel, n / d);
-    }
-    return scores;
+  function reorder(i, sides, run) {
+    const a = axisInfo[i];
+    const pins = Object.entries(pinned[a.axis] ?? {}).filter(([l]) => l !== missingLabel && pos[i].has(l));
+    const pinnedSet = new Set(pins.map(([l]) => l));
+    const hasMissing = a.categories.includes(missingLabel);
+    const labels = a.categories.filter(l => l !== missingLabel && !pinnedSet.has(l));
+
+    const ordered = locked.has(a.axis)
+      ? labels
+      : run({ labels, sides, cost: constrainedCost(pairCost(sides), manual[a.axis], labels), exactMax });
+    // Strategies that ignore cost() are brought in line with the manual order here
+    const placed = placePinned(followManual(ordered, manual[a.axis]), pins);
+    a.categories = hasMissing ? placed.concat([missingLabel]) : placed;
+    a.categories.forEach((l, idx) => pos[i].set(l, idx));
   }
 
-  const iters = Number.isFinite(iterations) ? iterations : 6;
+  // Pins and manual orders also hold on locked axes
+  for (let i = 0; i < nAxes; i++) {
+    if (locked.has(axisInfo[i].axis)) reorder(i, [], null);
+  }
+  // A single pair is still worth ordering (e.g. two picked axes); one axis crosses nothing
+  if (nAxes < 2) return;
 
-  for (let it = 0; it < iters; it++) {
+  for (let it = 0; it < iterations; it++) {
     // forward sweep
     for (let i = 1; i < nAxes; i++) {
-      if (isLocked(i)) continue;
-      applyReorder(i, scoresFromPrev(i));
+      if (!locked.has(axisInfo[i].axis)) reorder(i, [side(i, -1)], strategy);
     }
     // backward sweep
     for (let i = nAxes - 2; i >= 0; i--) {
-      if (isLocked(i)) continue;
-      applyReorder(i, scoresFromNext(i));
+      if (!locked.has(axisInfo[i].axis)) reorder(i, [side(i, 1)], strategy);
+    }
+  }
+
+  // Refinement against both neighbours, until no swap helps. A round that
+  // ends worse (once constraints are applied) is undone.
+  if (refine) {
+    for (let round = 0; round < iterations; round++) {
+      const before = crossingCounts(axisInfo, pairLinks).reduce((s, v) => s + v, 0);
+      const kept = axisInfo.map(a => a.categories.slice());
+      for (let i = 0; i < nAxes; i++) {
+        if (locked.has(axisInfo[i].axis)) continue;
+        const sides = [];
+        if (i > 0) sides.push(side(i, -1));
+        if (i < nAxes - 1) sides.push(side(i, 1));
+        reorder(i, sides, ORDERING_STRATEGIES.greedy);
+      }
+      const after = crossingCounts(axisInfo, pairLinks).reduce((s, v) => s + v, 0);
+      if (after > before) {
+        axisInfo.forEach((a, i) => {
+          a.categories = kept[i];
+          a.categories.forEach((l, idx) => pos[i].set(l, idx));
+        });
+      }
+      if (after >= before) break;
     }
   }
 }
@@ -157,15 +351,109 @@ function reorderBarycentricAxisInfo(axisInfo, pairLinks, { lockAxisName, missing
 /**
  * Public API:
  * Mutates axisInfo[i].categories (reordered) in-place.
+ *
+ * @param {Array<Object>} axisInfo - { axis, categories, totalsByCategory } in axis order
+ * @param {Map} linkAgg            - aggregated links (source/target node ids, value)
+ * @param {Object} [opts]
+ * @param {string|Function} [opts.strategy]  - key of ORDERING_STRATEGIES, or a strategy function
+ * @param {boolean} [opts.refine]            - greedy two-sided pass after the sweeps
+ * @param {Array<string>} [opts.lockedAxes]  - axes whose order is kept
+ * @param {Object} [opts.pinned]             - { [axis]: { [label]: position } } (negative = from the end)
+ * @param {Object} [opts.manual]             - { [axis]: [label, ..] } relative orders to keep
+ * @param {number} [opts.iterations]         - forward + backward sweeps
+ * @param {number} [opts.exactMax]           - largest axis the exact strategy solves (capped at 16)
+ * @returns {{ strategy:string, refined:boolean, before:number, after:number,
+ *             pairs:Array<{from:string, to:string, before:number, after:number}> }}
  */
 export function reduceCrossings(axisInfo, linkAgg, opts = {}) {
   const {
-    lockAxisName = "Design-Concept",
+    strategy = "barycentric",
+    refine = false,
+    lockedAxes = ["Design-Concept"],
+    pinned = {},
+    manual = {},
     missingLabel = "Missing",
     iterations = 6,
+    exactMax = 10,
   } = opts;
 
+  const run = typeof strategy === "function"
+    ? strategy
+    : ORDERING_STRATEGIES[strategy] ?? ORDERING_STRATEGIES.barycentric;
+
   const pairLinks = buildPairLinks(axisInfo, linkAgg);
-  reorderBarycentricAxisInfo(axisInfo, pairLinks, { lockAxisName, missingLabel, iterations });
+  const before = crossingCounts(axisInfo, pairLinks);
+
+  sweep(axisInfo, pairLinks, {
+    strategy: run,
+    refine,
+    locked: new Set(lockedAxes),
+    pinned,
+    manual,
+    missingLabel,
+    iterations,
+    exactMax,
+  });
+
+  // Counted on the final orders, pins and manual orders applied: what is drawn
+  const after = crossingCounts(axisInfo, pairLinks);
+  const sum = arr => arr.reduce((s, v) => s + v, 0);
+  return {
+    strategy: typeof strategy === "function" ? strategy.name || "custom" : strategy,
+    refined: !!refine,
+    before: sum(before),
+    after: sum(after),
+    pairs: pairLinks.map((_, i) => ({
+      from: axisInfo[i].axis,
+      to: axisInfo[i + 1].axis,
+      before: before[i],
+      after: after[i],
+    })),
+  };
+}
+
+// -----------------------------
+// Reporting
+// -----------------------------
+
+function formatWeight(v) {
+  return Number.isInteger(v) ? String(v) : v.toFixed(1);
 }
 
+/** One line for captions / methods sections, e.g. "weighted crossings 5120 → 2210 (−57%, barycentric)". */
+export function describeCrossings({ before, after, strategy, refined }) {
+  const notes = [refined ? `${strategy} + swaps` : strategy];
+  if (before > 0) {
+    const pct = Math.round((Math.abs(before - after) / before) * 100);
+    notes.unshift(`${after <= before ? "−" : "+"}${pct}%`);
+  }
+  return `weighted crossings ${formatWeight(before)} → ${formatWeight(after)} (${notes.join(", ")})`;
+}
+
+/**
+ * Crossing counts of the current order: the total, then one row per adjacent axis pair.
+ *
+ * @param {d3.Selection} host
+ * @param {Object|null} stats - reduceCrossings() result (null hides the panel)
+ */
+export function renderOrderingStats(host, stats) {
+  const wasOpen = host.select("details.ordering-stats").node()?.open ?? false;
+  host.selectAll("*").remove();
+  if (!stats) return;
+
+  const details = host.append("details")
+    .attr("class", "ordering-stats")
+    .property("open", wasOpen); // redrawn on every update
+  details.append("summary").text(`Ordering: ${describeCrossings(stats)}`);
+
+  const table = details.append("table");
+  const head = table.append("thead").append("tr");
+  for (const h of ["Axis pair", "Before", "After"]) head.append("th").text(h);
+  const body = table.append("tbody");
+  for (const p of stats.pairs) {
+    const tr = body.append("tr");
+    tr.append("td").text(`${p.from} → ${p.to}`);
+    tr.append("td").text(formatWeight(p.before));
+    tr.append("td").text(formatWeight(p.after));
+  }
+}
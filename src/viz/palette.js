@@ -0,0 +1,211 @@
+// src/viz/palette.js
+// Category colours for the colour-by attribute and the Design-Concept nodes.
+// - Named palettes: "default" (the colours set in the codebook),
+//   "okabe-ito" (colour-blind safe), "viridis" and "greyscale" (print)
+// - Categories without a colour are auto-assigned deterministically (hash of
+//   the label), so a category keeps its colour across filters and reloads
+// - Per-dataset overrides (axis -> label -> colour), kept in localStorage
+// - unmatchedColorKeys(): configured keys that match no category in the data
+
+import * as d3 from "d3";
+import { PALETTE } from "./config.js";
+import { codebookColors, displayName } from "./codebook.js";
+import { MISSING_LABEL } from "./preprocess.js";
+
+/**
+ * `colors`: categorical pool (auto-assigned by label hash).
+ * `ramp`:   ordered palette; categories are spread evenly along it in label order.
+ * `fixed`:  use the codebook colours before auto-assigning.
+ */
+export const PALETTES = {
+  default: {
+    label: "Default",
+    fixed: true,
+    colors: d3.schemeTableau10,
+  },
+  "okabe-ito": {
+    label: "Okabe-Ito (colour-blind safe)",
+    colors: ["#E69F00", "#56B4E9", "#009E73", "#F0E442", "#0072B2", "#D55E00", "#CC79A7", "#000000"],
+  },
+  viridis: {
+    label: "Viridis",
+    ramp: t => d3.interpolateViridis(0.9 * t), // stop short of the pale yellow end
+  },
+  greyscale: {
+    label: "Greyscale (print)",
+    ramp: t => d3.interpolateGreys(0.35 + 0.6 * t),
+  },
+};
+
+function hashLabel(s) {
+  // FNV-1a: stable across sessions and platforms
+  let h = 0x811c9dc5;
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * Colour function for one axis.
+ * Order of precedence: per-dataset override, codebook colour (default palette),
+ * auto-assignment. Pass every category of the unfiltered data so a filter
+ * never recolours what stays on screen.
+ *
+ * @param {Object} args
+ * @param {string} args.axis
+ * @param {Array<string>} args.categories   - labels to assign (Missing is skipped)
+ * @param {string} [args.palette]           - key of PALETTES
+ * @param {Object} [args.overrides]         - { [label]: colour } for this axis
+ * @returns {(label:string)=>string}
+ */
+export function paletteScale({ axis, categories, palette = PALETTE.palette, overrides = {} }) {
+  const spec = PALETTES[palette] ?? PALETTES.default;
+  const fixed = spec.fixed ? codebookColors()[axis] ?? {} : {};
+
+  const assigned = new Map();
+  for (const label of categories) {
+    const c = overrides[label] ?? fixed[label];
+    if (c) assigned.set(label, c);
+  }
+
+  const rest = [...new Set(categories)]
+    .filter(label => label !== MISSING_LABEL && !assigned.has(label))
+    .sort((a, b) => a.localeCompare(b));
+
+  let pick;
+  if (spec.ramp) {
+    const n = rest.length;
+    rest.forEach((label, k) => assigned.set(label, spec.ramp(n > 1 ? k / (n - 1) : 0.5)));
+    pick = label => spec.ramp((hashLabel(label) % 1000) / 999);
+  } else {
+    // Hash to a slot, probing past colours already taken; reuse once the pool runs out
+    const pool = spec.colors;
+    const taken = new Set([...assigned.values()].map(c => c.toLowerCase()));
+    for (const label of rest) {
+      const start = hashLabel(label) % pool.length;
+      let slot = start;
+      for (let k = 0; k < pool.length; k++) {
+        const s = (start + k) % pool.length;
+        if (!taken.has(pool[s].toLowerCase())) {
+          slot = s;
+          break;
+        }
+      }
+      taken.add(pool[slot].toLowerCase());
+      assigned.set(label, pool[slot]);
+    }
+    pick = label => pool[hashLabel(label) % pool.length];
+  }
+
+  return label => {
+    if (label === MISSING_LABEL) return overrides[label] ?? PALETTE.missing;
+    return assigned.get(label) ?? overrides[label] ?? fixed[label] ?? pick(String(label));
+  };
+}
+
+/**
+ * Configured colour keys that match no category of their axis.
+ *
+ * @param {Object<string, Set<string>>} categoriesByAxis - labels present per axis
+ * @param {Object} [fixed] - { [axis]: { [label]: colour } } (default: codebook colours)
+ * @returns {Array<{axis:string, key:string}>}
+ */
+export function unmatchedColorKeys(categoriesByAxis, fixed = codebookColors()) {
+  const out = [];
+  for (const [axis, map] of Object.entries(fixed ?? {})) {
+    const present = categoriesByAxis[axis];
+    if (!present) continue; // axis not in this dataset
+    for (const key of Object.keys(map)) {
+      if (!present.has(key)) out.push({ axis, key });
+    }
+  }
+  return out;
+}
+
+// -----------------------------
+// Per-dataset overrides (localStorage)
+// -----------------------------
+
+function storageKey(datasetName) {
+  return `${PALETTE.storageKey}:${datasetName}`;
+}
+
+/** @returns {Object} { [axis]: { [label]: colour } } ({} when nothing saved) */
+export function loadColorOverrides(datasetName) {
+  try {
+    return JSON.parse(window.localStorage.getItem(storageKey(datasetName))) ?? {};
+  } catch {
+    return {}; // no storage (private mode, headless) or unreadable entry
+  }
+}
+
+export function saveColorOverrides(datasetName, overrides) {
+  const empty = !Object.values(overrides).some(m => Object.keys(m).length);
+  try {
+    if (empty) window.localStorage.removeItem(storageKey(datasetName));
+    else window.localStorage.setItem(storageKey(datasetName), JSON.stringify(overrides));
+  } catch (err) {
+    console.warn("Could not save colour overrides:", err);
+  }
+}
+
+// -----------------------------
+// UI
+// -----------------------------
+
+/**
+ * Colour editor for one axis: a swatch (colour input) per category.
+ *
+ * @param {d3.Selection} host
+ * @param {Object} args
+ * @param {string} args.axis
+ * @param {Array<string>} args.categories
+ * @param {(label:string)=>string} args.colorOf  - colours currently drawn
+ * @param {Object} args.overrides                - { [label]: colour } for this axis
+ * @param {(overrides:Object)=>void} args.onChange
+ */
+export function renderColorEditor(host, { axis, categories, colorOf, overrides, onChange }) {
+  const wasOpen = host.select("details.color-editor").node()?.open ?? false;
+  host.selectAll("*").remove();
+
+  const details = host.append("details")
+    .attr("class", "color-editor")
+    .property("open", wasOpen); // redrawn on every update
+  const nOverrides = Object.keys(overrides).length;
+  details.append("summary")
+    .text(`Colours: ${axis}${nOverrides ? ` (${nOverrides} custom)` : ""}`);
+
+  const list = details.append("ul");
+  for (const label of categories) {
+    const li = list.append("li");
+    li.append("input")
+      .attr("type", "color")
+      .attr("aria-label", `Colour for ${label}`)
+      // colour inputs only take #rrggbb
+      .property("value", d3.color(colorOf(label))?.formatHex() ?? "#000000")
+      .on("change", function () {
+        onChange({ ...overrides, [label]: this.value });
+      });
+    li.append("span").text(displayName(axis, label));
+    if (overrides[label]) {
+      li.append("button")
+        .attr("type", "button")
+        .attr("class", "color-reset")
+        .attr("aria-label", `Reset colour for ${label}`)
+        .text("×")
+        .on("click", () => {
+          const { [label]: _, ...rest } = overrides;
+          onChange(rest);
+        });
+    }
+  }
+
+  if (nOverrides) {
+    details.append("button")
+      .attr("type", "button")
+      .text("Reset all")
+      .on("click", () => onChange({}));
+  }
+}
@@ -1,8 +1,9 @@
 // src/viz/preprocess.js
-import { RENDER } from "./config.js";
+import { RENDER, MULTI, SMALL, ORDERING } from "./config.js";
 import { reduceCrossings } from "./ordering.js";
+import { canonicalLabel, codeInfo } from "./codebook.js";
 
-function nodeId(axis, label) {
+export function nodeId(axis, label) {
   return `${axis}::${label}`;
 }
 
@@ -18,62 +19,188 @@ function dominantKey(obj) {
   return best;
 }
 
+// Treat blanks as explicit bucket (safe even if you rarely use it)
+export const MISSING_LABEL = "Missing";
+
 /**
- * Normalise Concept Cluster labels so nodes/links use DC1..DC6 consistently.
- *
- * Supported inputs:
- * - "DC1".."DC6" -> unchanged
- * - legacy "C0".."C5" -> DC1..DC6  (add 1)
- * - legacy "C1".."C6" -> DC1..DC6  (unchanged index)
- * - anything else -> returned as-is (trimmed)
+ * Legacy Design-Concept codes, for codes the codebook does not list (or when
+ * no codebook is loaded):
+ * - "DC1", "dc01" -> DC1
+ * - legacy "C0".."C5" -> DC1..DC6  (0-based, add 1)
+ * - legacy "C6" and beyond -> DC6.. (1-based, unchanged index)
+ * - anything else -> returned as-is
  */
-function normConceptCluster(v) {
-  const s = String(v ?? "").trim();
-  if (!s) return "";
-
-  // Already in desired form: DC1..DC6 (or beyond)
-  const mDC = s.match(/^DC(\d+)$/i);
+function legacyConceptLabel(label) {
+  const mDC = label.match(/^DC(\d+)$/i);
   if (mDC) return `DC${Number(mDC[1])}`;
 
-  // Legacy: C0..C5  -> DC1..DC6
-  const mC0 = s.match(/^C(\d+)$/i);
-  if (mC0) {
-    const n = Number(mC0[1]);
-    // If it was truly C0-based, map 0.. -> +1
-    // If it was 1-based already, we can keep it stable by checking 0 specifically.
-    if (n === 0) return "DC1";
-    // Heuristic:
-    // - if n is between 0 and 5 inclusive, assume 0-based and +1
-    // - if n is between 1 and 6 inclusive, assume 1-based and keep
-    if (n >= 0 && n <= 5) return `DC${n + 1}`;
-    if (n >= 1 && n <= 6) return `DC${n}`;
-    // otherwise: still map to DCn for consistency
-    return `DC${n}`;
+  const mC = label.match(/^C(\d+)$/i);
+  if (mC) {
+    const n = Number(mC[1]);
+    return `DC${n <= 5 ? n + 1 : n}`;
   }
+  return label;
+}
 
-  return s;
+// Trimmed cell -> canonical codebook id (aliases such as legacy C0..C5 -> DC1..DC6)
+export function normLabel(axis, raw) {
+  const label = String(raw ?? "").trim();
+  if (!label) return MISSING_LABEL;
+  const id = canonicalLabel(axis, label);
+  return axis === "Design-Concept" && !codeInfo(axis, id) ? legacyConceptLabel(id) : id;
 }
 
-// Treat blanks as explicit bucket (safe even if you rarely use it)
-const MISSING_LABEL = "Missing";
+/**
+ * Split one cell into weighted labels (multi-coded cells).
+ *
+ * Strategies when a cell holds several delimited codes:
+ * - "fractional": each code gets 1/k of the instance (totals still sum to rows)
+ * - "duplicate":  each code counts as a full instance
+ * - "first":      only the first code is kept
+ *
+ * Without a delimiter every cell is a single label with weight 1.
+ *
+ * @returns {Array<{label:string, w:number}>}
+ */
+export function splitCell(axis, raw, { delimiter = MULTI?.delimiter, strategy = MULTI?.strategy } = {}) {
+  if (!delimiter) return [{ label: normLabel(axis, raw), w: 1 }];
+
+  const labels = [...new Set(
+    String(raw ?? "")
+      .split(delimiter)
+      .map(part => String(part).trim())
+      .filter(Boolean)
+      .map(part => normLabel(axis, part))
+  )];
+
+  if (labels.length <= 1) return [{ label: labels[0] ?? MISSING_LABEL, w: 1 }];
+  if (strategy === "first") return [{ label: labels[0], w: 1 }];
 
-function normLabel(axis, raw) {
-  let label = String(raw ?? "").trim();
-  if (axis === "Design-Concept") label = normConceptCluster(label);
-  return label || MISSING_LABEL;
+  const w = strategy === "duplicate" ? 1 : 1 / labels.length;
+  return labels.map(label => ({ label, w }));
 }
 
-export function preprocess(rows, { axes }) {
+// Cartesian product of per-axis parts -> weighted paths through one node per axis.
+// Once branching would exceed `maxPaths`, remaining axes are not branched on:
+// every path takes the axis' first code with the axis' whole weight (links and
+// node totals are built per axis pair and are unaffected).
+function expandPaths(axes, partsByAxis, maxPaths = Infinity) {
+  let paths = [{ labels: [], w: 1 }];
+  let capped = false;
+  for (const axis of axes) {
+    const axisParts = partsByAxis[axis];
+    if (paths.length * axisParts.length > maxPaths) {
+      capped = true;
+      const first = axisParts[0].label;
+      const wAll = axisParts.reduce((s, p) => s + p.w, 0);
+      paths = paths.map(p => ({ labels: p.labels.concat([first]), w: p.w * wAll }));
+      continue;
+    }
+    const next = [];
+    for (const p of paths) {
+      for (const { label, w } of axisParts) {
+        next.push({ labels: p.labels.concat([label]), w: p.w * w });
+      }
+    }
+    paths = next;
+  }
+  return { paths, capped };
+}
+
+/**
+ * Categories to fold into the "Other" bucket, per axis.
+ * Only axes with at least two categories under the threshold are folded
+ * (a bucket of one would just rename that category); Missing never is.
+ *
+ * @returns {Map<string, Set<string>>} axis -> member labels
+ */
+function foldedCategories(parts, axes, { threshold, expanded }) {
+  const folded = new Map();
+  if (!(threshold > 0)) return folded;
+
+  for (const axis of axes) {
+    if (expanded.has(axis)) continue;
+    const totals = new Map();
+    for (const byAxis of parts) {
+      for (const { label, w } of byAxis[axis]) totals.set(label, (totals.get(label) || 0) + w);
+    }
+    const small = [...totals]
+      .filter(([label, v]) => label !== MISSING_LABEL && v < threshold)
+      .map(([label]) => label);
+    if (small.length >= 2) folded.set(axis, new Set(small));
+  }
+  return folded;
+}
+
+// Replace folded labels by the bucket label, merging weights within one cell
+function foldParts(cellParts, members, otherLabel) {
+  if (!members || !cellParts.some(p => members.has(p.label))) return cellParts;
+  const merged = new Map();
+  for (const { label, w } of cellParts) {
+    const l = members.has(label) ? otherLabel : label;
+    merged.set(l, (merged.get(l) || 0) + w);
+  }
+  return [...merged].map(([label, w]) => ({ label, w }));
+}
+
+/**
+ * Aggregate rows into nodes, links, per-axis category order and instances.
+ *
+ * @param {Array<Object>} rows
+ * @param {Object} opts
+ * @param {Object} [opts.small] - { otherBelow, otherLabel }: fold categories with
+ *        fewer instances than `otherBelow` into one node per axis
+ * @param {Set<string>} [opts.expandedOther] - axes whose bucket is shown unfolded
+ * @param {Object} [opts.ordering] - crossing-reduction settings (ORDERING)
+ * @returns {{ nodes, links, axisInfo, instances, ordering, cappedRows }} `ordering`:
+ *          crossing counts before/after reduction (reduceCrossings); `cappedRows`:
+ *          rows with more label combinations than multi.maxPaths
+ */
+export function preprocess(rows, {
+  axes,
+  colorBy = RENDER?.colorBy || "Design-Concept",
+  idColumn = "ID",
+  textColumn = "Sentence",
+  multi = MULTI,
+  small = SMALL,
+  expandedOther = new Set(),
+  ordering = ORDERING,
+}) {
+  // ----------------------------
+  // 0) Split cells (multi-coded instances) once per row, then fold small
+  //    categories. Folding happens here so node totals, links and instance
+  //    paths all see the same bucket; the colour key keeps the raw label.
+  // ----------------------------
+  const rawParts = rows.map(r => {
+    const byAxis = {};
+    for (const axis of axes.concat([colorBy])) byAxis[axis] = splitCell(axis, r[axis], multi);
+    return byAxis;
+  });
+
+  const otherLabel = small?.otherLabel ?? "Other";
+  const folded = foldedCategories(rawParts, axes, {
+    threshold: small?.otherBelow ?? 0,
+    expanded: expandedOther,
+  });
+  const parts = folded.size
+    ? rawParts.map(byAxis => {
+      const out = { ...byAxis };
+      for (const [axis, members] of folded) out[axis] = foldParts(byAxis[axis], members, otherLabel);
+      return out;
+    })
+    : rawParts;
+
   // ----------------------------
-  // 1) Node totals per axis/label
+  // 1) Node totals per axis/label (weighted)
   // ----------------------------
   const totals = new Map(); // nodeId -> count
 
-  for (const r of rows) {
+  for (const byAxis of parts) {
     for (const axis of axes) {
-      const label = normLabel(axis, r[axis]);
-      const id = nodeId(axis, label);
-      totals.set(id, (totals.get(id) || 0) + 1);
+      for (const { label, w } of byAxis[axis]) {
+        const id = nodeId(axis, label);
+        totals.set(id, (totals.get(id) || 0) + w);
+      }
     }
   }
 
@@ -122,53 +249,65 @@ export function preprocess(rows, { axes }) {
         .map(([label]) => label);
     }
 
+    // The bucket starts at the bottom (above Missing), whatever its total
+    const members = folded.get(axis);
+    if (members) categories = categories.filter(l => l !== otherLabel).concat([otherLabel]);
+
     if (missingCount > 0 && !categories.includes(MISSING_LABEL)) {
       categories.push(MISSING_LABEL);
     }
 
-    return { axis, index, categories, totalsByCategory };
+    return { axis, index, categories, totalsByCategory, otherMembers: members ? [...members] : null };
   });
 
   // ----------------------------
   // 3) Aggregated links between adjacent axes
+  //    Multi-coded cells contribute every (source, target, colour) combination,
+  //    weighted by the product of their part weights.
   // ----------------------------
-  const colorCol = RENDER?.colorBy || "Design-Concept";
   const linkAgg = new Map(); // k -> {source,target,value,byCluster:Map}
 
-  for (const r of rows) {
-    let clusterKey = String(r[colorCol] ?? "").trim();
-    if (colorCol === "Design-Concept") clusterKey = normConceptCluster(clusterKey);
-    clusterKey = clusterKey || MISSING_LABEL;
+  parts.forEach((byAxis, ri) => {
+    const colorParts = rawParts[ri][colorBy];
 
     for (let i = 0; i < axes.length - 1; i++) {
       const a0 = axes[i];
       const a1 = axes[i + 1];
 
-      const v0 = normLabel(a0, r[a0]);
-      const v1 = normLabel(a1, r[a1]);
+      for (const p0 of byAxis[a0]) {
+        for (const p1 of byAxis[a1]) {
+          const s = nodeId(a0, p0.label);
+          const t = nodeId(a1, p1.label);
+          const k = `${s}-->${t}`;
 
-      const s = nodeId(a0, v0);
-      const t = nodeId(a1, v1);
-      const k = `${s}-->${t}`;
+          if (!linkAgg.has(k)) {
+            linkAgg.set(k, { source: s, target: t, value: 0, byCluster: new Map() });
+          }
+          const obj = linkAgg.get(k);
+          const w = p0.w * p1.w;
 
-      if (!linkAgg.has(k)) {
-        linkAgg.set(k, { source: s, target: t, value: 0, byCluster: new Map() });
+          obj.value += w;
+          for (const c of colorParts) {
+            obj.byCluster.set(c.label, (obj.byCluster.get(c.label) || 0) + w * c.w);
+          }
+        }
       }
-      const obj = linkAgg.get(k);
-
-      obj.value += 1;
-      obj.byCluster.set(clusterKey, (obj.byCluster.get(clusterKey) || 0) + 1);
     }
-  }
+  });
 
   // ----------------------------
   // 4) Crossing reduction (mutates axisInfo.categories in place)
-  //    Concept Cluster remains locked.
+  //    Locked axes (Design-Concept by default) keep their order.
   // ----------------------------
-  reduceCrossings(axisInfo, linkAgg, {
-    lockAxisName: "Design-Concept",
+  const orderingStats = reduceCrossings(axisInfo, linkAgg, {
+    strategy: ordering.method,
+    refine: ordering.refine,
+    lockedAxes: ordering.lockedAxes,
+    pinned: ordering.pinned,
+    manual: ordering.manual,
+    iterations: ordering.iterations,
+    exactMax: ordering.exactMax,
     missingLabel: MISSING_LABEL,
-    iterations: 6,
   });
 
   // ----------------------------
@@ -184,6 +323,8 @@ export function preprocess(rows, { axes }) {
         index: a.index,
         order,
         value: a.totalsByCategory.get(label) || 0,
+        // "Other" bucket: the categories folded into it
+        members: a.otherMembers && label === otherLabel ? a.otherMembers : null,
       });
     });
   }
@@ -202,6 +343,41 @@ export function preprocess(rows, { axes }) {
     };
   });
 
-  return { nodes, links, axisInfo };
+  // ----------------------------
+  // 7) Instances (one per row)
+  //    - labels:  axis -> [label] (several when multi-coded; never folded)
+  //    - nodeIds: every node the instance touches
+  //    - paths:   one route through one node per axis (several when multi-coded),
+  //               with the weight the strand builder should give it
+  //    Used by the renderer for strands, hover/highlight lookups and the inspector.
+  //    Paths are capped at multi.maxPaths per instance.
+  // ----------------------------
+  let cappedRows = 0;
+  const instances = rows.map((r, i) => {
+    const byAxis = parts[i];
+    const raw = rawParts[i];
+    const labels = Object.fromEntries(axes.map(axis => [axis, raw[axis].map(p => p.label)]));
+    const expanded = expandPaths(axes, byAxis, multi.maxPaths ?? MULTI.maxPaths);
+    if (expanded.capped) cappedRows += 1;
+    const paths = expanded.paths.map(p => ({
+      nodeIds: p.labels.map((label, ai) => nodeId(axes[ai], label)),
+      weight: p.w,
+    }));
+
+    return {
+      index: i,
+      id: String(r[idColumn] ?? i).trim(),
+      text: String(r[textColumn] ?? "").trim(),
+      labels,
+      colorKey: raw[colorBy][0].label,
+      // Folded categories keep their own ids too, so filters on them still match
+      nodeIds: [...new Set(paths.flatMap(p => p.nodeIds).concat(
+        axes.flatMap(axis => raw[axis].map(p => nodeId(axis, p.label)))
+      ))],
+      paths,
+    };
+  });
+
+  return { nodes, links, axisInfo, instances, ordering: orderingStats, cappedRows };
 }
 
@@ -0,0 +1,137 @@
+// src/viz/profile.js
+// Layout profiles: the canvas and type sizes drawFigure() works with.
+// - print:  FIG + TYPE from config.js, the sideways LaTeX figure (exports, CLI)
+// - screen: sized from the figure pane; FIG and TYPE are scaled by one factor,
+//   no further than node labels stay at ZOOM.minFontPx (smaller text is
+//   raised to that size)
+// - vertical orientation (screen only): axes run top to bottom as rows. The
+//   plot is laid out as usual in a frame with width and height swapped and
+//   drawn transposed (render.js); title and legend sit in a header band above
+// - legibleProfile() raises type sizes to a floor (screen text shown small),
+//   so label placement spaces labels at the size they are drawn
+// watchSize() re-runs a callback when the pane is resized (ResizeObserver).
+
+import { FIG, SCREEN, TYPE, ZOOM } from "./config.js";
+
+/**
+ * @typedef {Object} LayoutProfile
+ * @property {"print"|"screen"} name
+ * @property {"horizontal"|"vertical"} orientation
+ * @property {number} width, height - SVG size (px)
+ * @property {number} header        - vertical: band above the plot (title, legend)
+ * @property {Object} fig           - plot frame as in FIG (vertical: along the axes = width)
+ * @property {Object} type          - type sizes as in TYPE
+ * @property {number} scale         - factor for the fixed offsets in render.js
+ * @property {number} [minFont]     - legibleProfile(): no text smaller than this
+ */
+
+/** @type {LayoutProfile} */
+export const PRINT_PROFILE = {
+  name: "print",
+  orientation: "horizontal",
+  width: FIG.width,
+  height: FIG.height,
+  header: 0,
+  fig: FIG,
+  type: TYPE,
+  scale: 1,
+};
+
+const TYPE_SIZES = ["titleSize", "subtitleSize", "axisTitleSize", "axisDescSize", "nodeLabelSize", "countSize"];
+
+function scaled(obj, keys, s, min = 0) {
+  const out = { ...obj };
+  for (const k of keys) out[k] = Math.max(min, obj[k] * s);
+  return out;
+}
+
+/**
+ * Orientation for a pane width ("auto" goes vertical below SCREEN.verticalBelow).
+ * The heatmap is a matrix and stays horizontal.
+ */
+export function resolveOrientation(width, { orientation = SCREEN.orientation, mode } = {}) {
+  if (mode === "heatmap") return "horizontal";
+  if (orientation === "auto") return width < SCREEN.verticalBelow ? "vertical" : "horizontal";
+  return orientation === "vertical" ? "vertical" : "horizontal";
+}
+
+/**
+ * Screen profile for a pane of `width` x `height` px.
+ *
+ * @param {{ width:number, height:number }} size - pane size
+ * @param {Object} [opts]
+ * @param {string} [opts.orientation] - "auto" | "horizontal" | "vertical"
+ * @param {string} [opts.mode]        - render mode
+ * @param {number} [opts.axisCount]   - vertical: rows to make room for
+ * @returns {LayoutProfile}
+ */
+export function screenProfile({ width, height }, { orientation = SCREEN.orientation, mode, axisCount = 0 } = {}) {
+  const w = Math.max(SCREEN.minWidth, Math.floor(width));
+  const h = Math.max(SCREEN.minHeight, Math.floor(height));
+  const dir = resolveOrientation(w, { orientation, mode });
+
+  // One factor for canvas and type; node labels set the floor
+  const floor = ZOOM.minFontPx / TYPE.nodeLabelSize;
+  const across = dir === "vertical" ? w : Math.min(w, (h * FIG.width) / FIG.height);
+  const scale = Math.min(1, Math.max(across / FIG.width, floor));
+
+  const type = scaled(TYPE, TYPE_SIZES, scale, ZOOM.minFontPx);
+  const m = scaled(FIG.margin, ["top", "right", "bottom", "left"], scale);
+  const frame = scaled(FIG, ["axisPaddingX", "nodeWidth", "nodePadding"], scale);
+
+  if (dir === "horizontal") {
+    return { name: "screen", orientation: dir, width: w, height: h, header: 0, fig: { ...frame, width: w, height: h, margin: m }, type, scale };
+  }
+
+  // Vertical: the title takes the top margin, plus a band for the legend.
+  // In the transposed frame, left/right are the space above the first row and
+  // below the last; top/bottom are the screen's left and right edges, kept
+  // clear for the label blocks of the first and last category.
+  const header = Math.round(m.top + SCREEN.legendBand);
+  const along = Math.max(h - header, axisCount * SCREEN.rowHeight);
+  const edge = 2.5 * type.nodeLabelSize;
+  return {
+    name: "screen",
+    orientation: dir,
+    width: w,
+    height: header + along,
+    header,
+    fig: { ...frame, width: along, height: w, margin: { top: edge, right: m.right, bottom: edge, left: m.left } },
+    type,
+    scale,
+  };
+}
+
+/**
+ * `profile` with every type size raised to at least `minFont` (figure px).
+ * Returns `profile` itself when nothing needs raising.
+ */
+export function legibleProfile(profile, minFont) {
+  if (!(minFont > 0) || TYPE_SIZES.every(k => profile.type[k] >= minFont)) return profile;
+  return { ...profile, type: scaled(profile.type, TYPE_SIZES, 1, minFont), minFont };
+}
+
+/**
+ * Call `onResize({ width, height })` whenever `el` changes size (coalesced to
+ * one call per frame). Without ResizeObserver (headless), nothing is watched.
+ *
+ * @returns {() => void} stop watching
+ */
+export function watchSize(el, onResize) {
+  if (typeof ResizeObserver === "undefined") return () => {};
+  let last = null;
+  let frame = 0;
+  const observer = new ResizeObserver(entries => {
+    const { width, height } = entries[entries.length - 1].contentRect;
+    const next = { width: Math.round(width), height: Math.round(height) };
+    if (last && last.width === next.width && last.height === next.height) return;
+    last = next;
+    cancelAnimationFrame(frame);
+    frame = requestAnimationFrame(() => onResize(next));
+  });
+  observer.observe(el);
+  return () => {
+    cancelAnimationFrame(frame);
+    observer.disconnect();
+  };
+}
@@ -1,5 +1,7 @@
 // src/viz/render.js
-// White-background variant (print/PDF-safe).
+// Figure drawing: data rows in, SVG out (white-background, print/PDF-safe).
+// Page chrome and data loading live in app.js, so this module also runs headless
+// (see scripts/render-figure.js).
 // Key fixes:
 // - Axis rules drawn ABOVE strands (group order fixed)
 // - Axis rule colors are PDF-safe (stroke + stroke-opacity; no rgba strings)
@@ -11,18 +13,36 @@
 import * as d3 from "d3";
 import {
   AXES,
-  FIG,
-  COLORS,
-  CLUSTER_COLORS,
   RIBBON,
   AXIS_DESCRIPTORS,
-  TYPE,
   LABELS,
   RENDER,
   PARALLEL,
+  FILTER,
+  DATA,
+  MULTI,
+  HEATMAP,
+  MARGINALS,
+  LEGEND,
+  PALETTE,
+  SMALL,
+  ORDERING,
+  ZOOM,
 } from "./config.js";
-import { preprocess } from "./preprocess.js";
-import { computeLayout } from "./layout.js";
+import { MISSING_LABEL, nodeId, normLabel, preprocess } from "./preprocess.js";
+import { computeLayout, splitRibbons } from "./layout.js";
+import { attachHighlight } from "./interaction.js";
+import { formatDelta, linkDeltaMap, nodeDeltaMap } from "./diff.js";
+import { attachAxisDrag } from "./axes.js";
+import { isFilterEmpty, isSelected, matchingIndices } from "./filter.js";
+import { drawHeatmap, resolveHeatmapAxes } from "./heatmap.js";
+import { categoryTotals, drawDotLegend, drawDotStrip } from "./marginals.js";
+import { approxTextWidth, drawLegend } from "./legend.js";
+import { paletteScale } from "./palette.js";
+import { codeInfo, displayName, shortName } from "./codebook.js";
+import { fitLabel, labelBlockMetrics, spreadLabels } from "./labels.js";
+import { attachCategoryDrag } from "./categoryOrder.js";
+import { PRINT_PROFILE } from "./profile.js";
 
 function ribbonPath(d) {
   const x0 = d.x0, x1 = d.x1;
@@ -39,60 +59,76 @@ function ribbonPath(d) {
   `;
 }
 
-function colorForAffect(affect) {
-  return COLORS?.[affect] || "#9aa4b2";
-}
-function colorForCluster(cluster) {
-  return CLUSTER_COLORS?.[cluster] || "#9aa4b2";
-}
-
-/**
- * Normalise cluster label for rendering.
- * Supports DC1.., legacy C0.., C1.. etc.
- */
-function normClusterLabel(v) {
-  const s = String(v ?? "").trim();
-  if (!s) return "";
-
-  const mDC = s.match(/^DC(\d+)$/i);
-  if (mDC) return `DC${Number(mDC[1])}`;
-
-  const mC = s.match(/^C(\d+)$/i);
-  if (mC) {
-    const n = Number(mC[1]);
-    // legacy C0..C5 -> DC1..DC6
-    if (n >= 0 && n <= 5) return `DC${n + 1}`;
-    // legacy C1..C6 -> DC1..DC6
-    if (n >= 1 && n <= 6) return `DC${n}`;
-    return `DC${n}`;
-  }
-
-  return s;
-}
-
 function hash01(i) {
   const x = Math.sin(i * 12.9898) * 43758.5453;
   return x - Math.floor(x);
 }
 
-function splitSlashLabel(label) {
-  const s = String(label ?? "").trim();
-  if (!s) return [""];
-  if (!s.includes("/")) return [s];
-  return s.split("/").map(p => p.trim()).filter(Boolean);
-}
-
 function clamp(v, lo, hi) {
   return Math.max(lo, Math.min(hi, v));
 }
 
-export async function initViz(containerSelector) {
-  const container = d3.select(containerSelector);
-  container.selectAll("*").remove();
+// Fractional multi-coding yields non-integer totals
+function formatCount(v) {
+  return Number.isInteger(v) ? String(v) : v.toFixed(1);
+}
 
-  const { width, height, margin, nodeWidth } = FIG;
-  const mode = RENDER?.mode ?? "parallel";
-  const colorBy = RENDER?.colorBy ?? "Design-Concept";
+/**
+ * Colour-by attribute to use with `axes`: the requested one if it is shown,
+ * else the config default, else the first axis (URLs and other datasets may
+ * name columns that are not there).
+ */
+export function resolveColorBy(colorBy, axes) {
+  if (axes.includes(colorBy)) return colorBy;
+  if (axes.includes(RENDER.colorBy)) return RENDER.colorBy;
+  return axes[0];
+}
+
+/**
+ * Draw the full figure (title, axes, nodes, strands/ribbons) into `host`.
+ * Re-callable: clears `host` first so filter changes can simply redraw.
+ * Needs a DOM for `host` only (no fetch, no window), so it also runs under a shim.
+ * `colors` holds per-dataset colour overrides: { [axis]: { [label]: colour } }.
+ * `expandedOther` lists axes whose "Other" bucket is shown unfolded; clicking
+ * the bucket calls `onExpandOther(axis)` instead of `onNodeClick`.
+ * `categoryOrders` ({ [axis]: [label] }) are manual orders kept by the crossing
+ * reduction; with `onCategoryReorder`, nodes can be dragged to change them.
+ * `focusAxis` widens the space around one axis (screen fisheye, see zoom.js).
+ * `profile` sets canvas and type sizes (profile.js): the print figure unless the
+ * page passes a screen profile, which may also turn the axes into rows.
+ * Returns `cappedRows` (preprocess) counted over all rows, before any subset filter.
+ */
+export function drawFigure(host, rows, {
+  axes = AXES,
+  idColumn = DATA.idColumn,
+  textColumn = DATA.textColumn,
+  settings = {},
+  filter = new Map(),
+  onNodeClick = null,
+  onInspect = null,
+  onAxisReorder = null,
+  onCellClick = null,
+  diff = null,
+  diffOnlyChanged = false,
+  colors = {},
+  expandedOther = new Set(),
+  onExpandOther = null,
+  categoryOrders = {},
+  onCategoryReorder = null,
+  focusAxis = null,
+  profile = PRINT_PROFILE,
+} = {}) {
+  host.selectAll("*").remove();
+
+  // Plot frame (vertical: laid out with axes along x, drawn transposed)
+  const { width, height, margin, nodeWidth } = profile.fig;
+  const vertical = profile.orientation === "vertical";
+  const px = v => v * profile.scale; // fixed offsets follow the profile
+  // Runtime settings (control panel / URL) override config.js defaults
+  const mode = settings.render?.mode ?? RENDER?.mode ?? "parallel";
+  const colorBy = resolveColorBy(settings.render?.colorBy, axes);
+  const parallel = { ...PARALLEL, ...settings.parallel };
+  const small = { ...SMALL, ...settings.small };
 
   // -----------------------------
   // Theme (PDF-safe)
@@ -114,82 +150,177 @@ export async function initViz(containerSelector) {
   const DOT_STROKE = "#111827";
   const DOT_STROKE_OPACITY = 0.22;
 
+  // Comparison deltas
+  const DIFF_UP = "#047857";
+  const DIFF_DOWN = "#b91c1c";
+
   // -----------------------------
   // Typography
   // -----------------------------
-  const TITLE_SIZE      = TYPE?.titleSize      ?? 38;
-  const SUBTITLE_SIZE   = TYPE?.subtitleSize   ?? 24;
-  const AXIS_TITLE_SIZE = TYPE?.axisTitleSize  ?? 28;
-  const AXIS_DESC_SIZE  = TYPE?.axisDescSize   ?? 20;
-  const NODE_LABEL_SIZE = TYPE?.nodeLabelSize  ?? 24;
-  const COUNT_SIZE      = TYPE?.countSize      ?? 18;
+  const type = profile.type;
+  const TITLE = "Biophilic Design Space Map For Indoor Interactive Experiences";
+  const svgWidth = profile.width;
+
+  // The title shrinks to the canvas width (narrow screens)
+  const titleFit = (svgWidth - px(48)) / approxTextWidth(TITLE, 1);
+  const TITLE_SIZE      = Math.min(type?.titleSize ?? 38, Math.max(ZOOM.minFontPx, titleFit));
+  const SUBTITLE_SIZE   = type?.subtitleSize   ?? 24;
+  const AXIS_TITLE_SIZE = type?.axisTitleSize  ?? 28;
+  const AXIS_DESC_SIZE  = type?.axisDescSize   ?? 20;
+  const NODE_LABEL_SIZE = type?.nodeLabelSize  ?? 24;
+  const COUNT_SIZE      = type?.countSize      ?? 18;
 
   // Title placement (top-safe)
-  const titleTop = 18;
-  const subtitleTop = titleTop + TITLE_SIZE + 6;
+  const titleTop = px(18);
+  const subtitleTop = titleTop + TITLE_SIZE + px(6);
 
-  const svg = container
+  const svg = host
     .append("svg")
-    .attr("width", width)
-    .attr("height", height)
-    .attr("viewBox", `0 0 ${width} ${height}`)
+    .attr("width", svgWidth)
+    .attr("height", profile.height)
+    .attr("viewBox", `0 0 ${svgWidth} ${profile.height}`)
+    .attr("font-family", type?.fontFamily ?? null)
     .style("background", "#ffffff");
 
   svg.append("text")
-    .attr("x", width / 2)
+    .attr("x", svgWidth / 2)
     .attr("y", titleTop)
     .attr("text-anchor", "middle")
     .attr("dominant-baseline", "hanging")
     .attr("fill", INK)
     .attr("font-size", TITLE_SIZE)
     .attr("font-weight", 700)
-    .text("Biophilic Design Space Map For Indoor Interactive Experiences");
+    .text(TITLE);
 
   svg.append("text")
-    .attr("x", width / 2)
+    .attr("x", svgWidth / 2)
     .attr("y", subtitleTop)
     .attr("text-anchor", "middle")
     .attr("dominant-baseline", "hanging")
     .attr("fill", MUTED)
     .attr("font-size", SUBTITLE_SIZE)
     .attr("font-weight", 500)
-    .text(mode === "parallel" ? "Line = one coded instance of data" : "Width = coded instances");
+    .text({
+      parallel: "Line = one coded instance of data",
+      alluvial: "Width = coded instances",
+      heatmap: "Cell = instances coded with both categories",
+    }[mode] ?? "");
 
   // -----------------------------
-  // Load CSV
+  // Filter
+  // - fade:   full layout, non-matching instances dimmed
+  // - subset: layout recomputed from the matching rows only
   // -----------------------------
-  const dataPath = "/data/cleaned.csv";
-  let rows;
-  try {
-    rows = await d3.csv(dataPath);
-  } catch (err) {
-    console.error("Failed to load CSV:", err);
-    svg.append("text")
-      .attr("x", 16)
-      .attr("y", 28)
-      .attr("fill", INK)
-      .attr("font-size", 12)
-      .text(`Could not load ${dataPath}. Put cleaned.csv in public/data/ and restart.`);
-    return;
+  const filterMode = FILTER?.mode ?? "fade";
+  const dataOpts = {
+    axes,
+    colorBy,
+    idColumn,
+    textColumn,
+    multi: { ...MULTI, ...settings.multi },
+    // The heatmap always shows every category
+    small: mode === "heatmap" ? { ...small, otherBelow: 0 } : small,
+    expandedOther,
+    ordering: {
+      ...ORDERING,
+      ...settings.ordering,
+      manual: { ...(settings.ordering?.manual ?? ORDERING.manual), ...categoryOrders },
+    },
+  };
+  let active = null;
+  let all = null;
+  const corpusRows = rows; // before any subset filtering (marginal totals)
+
+  if (!isFilterEmpty(filter)) {
+    all = preprocess(rows, dataOpts);
+    active = matchingIndices(all.instances, filter);
+    if (filterMode === "subset") {
+      rows = rows.filter((r, i) => active.has(i));
+      active = null;
+    }
+  }
+
+  // Comparison overlay: optionally dim every instance the recoding did not touch.
+  // `emphasis` drives the highlighting; `active` stays the filter match (returned).
+  let emphasis = active;
+  if (diff && diffOnlyChanged) {
+    emphasis = new Set();
+    rows.forEach((r, i) => {
+      if (diff.changedRows.has(r) && (!active || active.has(i))) emphasis.add(i);
+    });
+  }
+
+  const { nodes, links, axisInfo, instances, ordering, cappedRows: shownCapped } = preprocess(rows, dataOpts);
+  const cappedRows = all?.cappedRows ?? shownCapped;
+
+  // Heatmap: one axis pair as a matrix, categories in crossing-reduced order
+  if (mode === "heatmap") {
+    const heatmap = { ...HEATMAP, ...settings.heatmap };
+    drawHeatmap(svg, {
+      rows,
+      axisInfo,
+      ...resolveHeatmapAxes(heatmap, axes),
+      metric: heatmap.metric,
+      multi: dataOpts.multi,
+      active: emphasis,
+      filter,
+      frame: { width, height, margin, scale: profile.scale },
+      type: { axisTitleSize: AXIS_TITLE_SIZE, nodeLabelSize: NODE_LABEL_SIZE, countSize: COUNT_SIZE },
+      onCellClick,
+    });
+    return { instances, active, ordering, cappedRows };
   }
 
-  const { nodes, links, axisInfo } = preprocess(rows, { axes: AXES });
-  const { axisX, linksSorted } = computeLayout({ nodes, links, axisInfo });
+  const { axisX, linksSorted, nodesById } = computeLayout({
+    nodes,
+    links,
+    axisInfo,
+    mode,
+    minNodeHeight: small.minNodeHeight,
+    focusAxis,
+    focusSpread: ZOOM.focusSpread,
+    fig: profile.fig,
+  });
+  const nodeDeltas = nodeDeltaMap(diff);
+  const linkDeltas = linkDeltaMap(diff);
+
+  // Vertical: everything below is drawn through a transposing group (x <-> y),
+  // under the header band. Text inside it is turned back: node labels read
+  // upwards along the row gap, axis titles are upright row headings.
+  const plot = vertical
+    ? svg.append("g").attr("class", "plot").attr("transform", `matrix(0 1 1 0 0 ${profile.header})`)
+    : svg;
+  const UPRIGHT = "matrix(0 1 1 0 0 0)"; // x/y given in screen terms
+  const labelTurn = x => (vertical ? `matrix(-1 0 0 1 ${2 * x} 0)` : null);
+  const turnAnchor = a => (vertical ? { start: "end", end: "start" }[a] ?? a : a);
 
   // -----------------------------
   // Layer order (IMPORTANT for PDF)
   // -----------------------------
   // Links (bottom)
-  const gLinks = svg.append("g").attr("class", "links");
+  const gLinks = plot.append("g").attr("class", "links");
+  // Marginal dot strips (above links, below node labels)
+  const gMarginals = plot.append("g").attr("class", "marginals");
   // Nodes + labels (middle)
-  const gNodes = svg.append("g").attr("class", "nodes");
+  const gNodes = plot.append("g").attr("class", "nodes");
   // Axes (top)
-  const gAxes = svg.append("g").attr("class", "axes");
+  const gAxes = plot.append("g").attr("class", "axes");
   const gRules = gAxes.append("g").attr("class", "axis-rules");
   const gAxisText = gAxes.append("g").attr("class", "axis-text");
 
   const CLUSTER_AXIS = "Design-Concept";
-  const AFFECT_AXIS = "Affective Aim";
+
+  // Palette colours, assigned over the unfiltered data so filtering never recolours
+  const palette = { ...PALETTE, ...settings.palette };
+  const scaleFor = axis => paletteScale({
+    axis,
+    categories: [...categoryTotals(corpusRows, axis, dataOpts.multi).keys()],
+    palette: palette.palette,
+    overrides: colors[axis],
+  });
+  const colorForCluster = scaleFor(CLUSTER_AXIS);
+  // Colour for a value of the colour-by attribute (strands, ribbons)
+  const colorOf = colorBy === CLUSTER_AXIS ? colorForCluster : scaleFor(colorBy);
 
   // Plot area
   const plotTop = margin.top;
@@ -210,8 +341,8 @@ export async function initViz(containerSelector) {
   // -----------------------------
   // Axis rules (no last axis rule)
   // -----------------------------
-  const ruleTopPad = 22;
-  const ruleBottomPad = 22;
+  const ruleTopPad = px(22);
+  const ruleBottomPad = px(22);
 
   const lastAxisIndex = axisInfo.length - 1;
 
@@ -241,18 +372,18 @@ export async function initViz(containerSelector) {
   // -----------------------------
   // Axis titles + descriptors
   // -----------------------------
-  const axisTitleY = plotBottom + 38;
-  const axisDescY  = plotBottom + 56;
+  const axisTitleY = plotBottom + px(38);
+  const axisDescY  = axisTitleY + Math.max(px(18), 0.9 * AXIS_DESC_SIZE);
 
-  const dxLabel = LABELS?.nodeTextDx ?? 6;
-  const aimLabelPad = 12;
-  const edgePad = 10;
+  const dxLabel = px(LABELS?.nodeTextDx ?? 6);
+  const aimLabelPad = px(12);
+  const edgePad = px(10);
 
   function axisTitleX(d) {
     // First axis: keep left aligned but you will hide the text anyway.
     if (d.index === 0) return axisX[d.index] - nodeWidth / 2 + edgePad;
 
-    // Last axis: align with where Affective Aim labels start
+    // Last axis: align with where its (padded) labels start
     if (d.index === lastAxisIndex) {
       return axisX[d.index] + nodeWidth / 2 + dxLabel + aimLabelPad;
     }
@@ -267,34 +398,82 @@ export async function initViz(containerSelector) {
     return "middle";
   }
 
-  gAxisText.selectAll("text.axis-title")
+  // One group per axis: title + descriptor + a transparent hit band,
+  // so every axis (even the untitled Design-Concept) can be dragged to reorder.
+  // Gaps are equal unless an axis is in focus (fisheye).
+  const gapAfter = i => (axisInfo.length < 2 ? width
+    : i < lastAxisIndex ? axisX[i + 1] - axisX[i] : axisX[i] - axisX[i - 1]);
+  const gapBefore = i => (i > 0 ? axisX[i] - axisX[i - 1] : gapAfter(i));
+
+  const axisLabelSel = gAxisText.selectAll("g.axis-label")
     .data(axisInfo)
-    .join("text")
-    .attr("class", "axis-title")
-    .attr("x", d => axisTitleX(d))
-    .attr("y", axisTitleY)
-    .attr("text-anchor", d => axisTitleAnchor(d))
+    .join(enter => {
+      const g = enter.append("g").attr("class", "axis-label");
+      g.append("rect").attr("class", "axis-handle");
+      g.append("text").attr("class", "axis-title");
+      g.append("text").attr("class", "axis-desc");
+      return g;
+    });
+
+  // Vertical: the heading sits in the clear band above its row, at the left
+  const headingY = d => axisX[d.index] - nodeWidth / 2 - px(14);
+  const headingText = d => (d.axis === CLUSTER_AXIS ? "" : d.axis);
+  const headingWidth = d => approxTextWidth(headingText(d), AXIS_TITLE_SIZE * 1.12) + px(16);
+  // Headings sit over strands: white halo, as on node labels
+  const headingHalo = sel => sel
+    .attr("paint-order", vertical ? "stroke" : null)
+    .attr("stroke", vertical ? "#ffffff" : null)
+    .attr("stroke-width", vertical ? Math.max(2, AXIS_TITLE_SIZE * 0.14) : null)
+    .attr("stroke-linejoin", vertical ? "round" : null);
+
+  if (vertical) {
+    axisLabelSel.select("rect.axis-handle")
+      .attr("x", d => headingY(d) - AXIS_TITLE_SIZE)
+      .attr("y", plotTop)
+      .attr("width", AXIS_TITLE_SIZE + px(10))
+      .attr("height", d => Math.max(px(120), headingWidth(d)));
+  } else {
+    axisLabelSel.select("rect.axis-handle")
+      .attr("x", d => axisX[d.index] - gapBefore(d.index) / 2)
+      .attr("y", plotBottom + px(8))
+      .attr("width", d => (gapBefore(d.index) + gapAfter(d.index)) / 2)
+      .attr("height", Math.max(0, margin.bottom - px(8)));
+  }
+  axisLabelSel.select("rect.axis-handle")
+    .attr("fill", INK)
+    .attr("fill-opacity", 0);
+
+  axisLabelSel.select("text.axis-title")
+    .attr("x", d => (vertical ? plotTop : axisTitleX(d)))
+    .attr("y", d => (vertical ? headingY(d) : axisTitleY))
+    .attr("transform", vertical ? UPRIGHT : null)
+    .attr("text-anchor", d => (vertical ? "start" : axisTitleAnchor(d)))
     .attr("fill", INK)
     .attr("font-size", AXIS_TITLE_SIZE)
     .attr("font-weight", 700)
-    .text(d => (d.axis === CLUSTER_AXIS ? "" : d.axis));
-
-  gAxisText.selectAll("text.axis-desc")
-    .data(axisInfo)
-    .join("text")
-    .attr("class", "axis-desc")
-    .attr("x", d => axisTitleX(d))
-    .attr("y", axisDescY)
-    .attr("text-anchor", d => axisTitleAnchor(d))
+    .call(headingHalo)
+    .text(headingText);
+
+  // Vertical: the descriptor follows the heading on the same line
+  axisLabelSel.select("text.axis-desc")
+    .attr("x", d => (vertical ? plotTop + headingWidth(d) - px(6) : axisTitleX(d)))
+    .attr("y", d => (vertical ? headingY(d) : axisDescY))
+    .attr("transform", vertical ? UPRIGHT : null)
+    .attr("text-anchor", d => (vertical ? "start" : axisTitleAnchor(d)))
     .attr("fill", MUTED)
     .attr("font-size", AXIS_DESC_SIZE)
     .attr("font-weight", 500)
+    .call(headingHalo)
     .text(d => {
       // Optional: also hide the descriptor under Design-Concept if you want
       if (d.axis === CLUSTER_AXIS) return "";
       return AXIS_DESCRIPTORS?.[d.axis] ?? "";
     });
 
+  if (onAxisReorder) {
+    attachAxisDrag({ handleSel: axisLabelSel, axisX, onReorder: onAxisReorder });
+  }
+
   // -----------------------------
   // Nodes (layout order)
   // -----------------------------
@@ -309,7 +488,7 @@ export async function initViz(containerSelector) {
 
   const clusterR = d3.scaleSqrt()
     .domain([clusterMin, clusterMax])
-    .range([6.2, 11.5]);
+    .range([px(6.2), px(11.5)]);
 
   const nodeSel = gNodes.selectAll("g.node")
     .data(flatNodes, d => d.id)
@@ -318,19 +497,34 @@ export async function initViz(containerSelector) {
       g.append("rect");
       g.append("line");
       g.append("circle"); // cluster dot only
+      g.append("path").attr("class", "label-leader");
       g.append("text");
+      g.append("title");
       return g;
     });
 
-  // Rect bands: only in alluvial mode
+  // Tooltip: codebook name and description ("Other": what it folds)
+  nodeSel.select("title")
+    .text(d => (d.members
+      ? `${d.label}: ${d.members.map(m => shortName(d.axis, m)).join(", ")} — click to expand`
+      : [displayName(d.axis, d.label), codeInfo(d.axis, d.label)?.description]
+        .filter(Boolean)
+        .join(" — ")));
+
+  // Clicking a folded "Other" node expands it; any other node goes to the filter
+  const nodeClick = (onNodeClick || onExpandOther)
+    ? d => (d.members ? onExpandOther?.(d.axis) : onNodeClick?.(d))
+    : null;
+
+  // Rect bands: only in alluvial mode.
+  // Full node width (x0..x1) so ribbons, which run from s.x1 to t.x0, attach to the bar edges.
   if (mode === "parallel") {
     nodeSel.select("rect").attr("display", "none");
   } else {
-    const bandW = Math.max(2, Math.min(6, nodeWidth * 0.12));
     nodeSel.select("rect")
-      .attr("x", d => axisX[d.index] - bandW / 2)
+      .attr("x", d => d.x0)
       .attr("y", d => d.y0)
-      .attr("width", bandW)
+      .attr("width", d => d.x1 - d.x0)
       .attr("height", d => Math.max(1, d.y1 - d.y0))
       .attr("fill", BAR_FILL)
       .attr("fill-opacity", BAR_FILL_OPACITY)
@@ -346,7 +540,7 @@ export async function initViz(containerSelector) {
 
   // Parallel micro-ticks
   const showTicks = mode === "parallel";
-  const tickLen = 10;
+  const tickLen = px(10);
 
   nodeSel.select("line")
     .attr("display", d => {
@@ -374,25 +568,79 @@ export async function initViz(containerSelector) {
     .attr("stroke-opacity", DOT_STROKE_OPACITY)
     .attr("stroke-width", 1.2);
 
-  // Labels
-  nodeSel.select("text")
-    .attr("x", d => {
-      if (d.axis === CLUSTER_AXIS) return d.x0 - dxLabel - 10;
-      if (d.axis === AFFECT_AXIS) return d.x1 + dxLabel + aimLabelPad;
-      return d.x1 + dxLabel;
+  // -----------------------------
+  // Labels: fit each to its column, then spread overlaps per axis
+  // -----------------------------
+  // Cluster labels take the margin left of their dots while Design-Concept is
+  // the first axis; moved elsewhere they label to the right like every other
+  // axis (the gap to the left belongs to the previous axis' labels)
+  const labelsLeft = d => d.axis === CLUSTER_AXIS && d.index === 0;
+  const dotPad = d => (d.axis === CLUSTER_AXIS ? px(10) : 0);
+  const labelX = d =>
+    labelsLeft(d) ? d.x0 - dxLabel - dotPad(d) :
+    d.index === lastAxisIndex ? d.x1 + dxLabel + dotPad(d) + aimLabelPad :
+    d.x1 + dxLabel + dotPad(d);
+  const labelMaxWidth = d =>
+    labelsLeft(d) ? labelX(d) - px(8) :
+    d.index === lastAxisIndex ? width - labelX(d) - px(8) :
+    gapAfter(d.index) - dotPad(d) - px(LABELS.columnGap ?? 60);
+  const nodeCentre = d => (d.y0 + d.y1) / 2;
+  const labelMetrics = { fontSize: NODE_LABEL_SIZE, countSize: COUNT_SIZE };
+
+  const labelLines = new Map(flatNodes.map(d => [d.id, fitLabel(
+    displayName(d.axis, d.label),
+    shortName(d.axis, d.label),
+    { maxWidth: labelMaxWidth(d), fontSize: NODE_LABEL_SIZE, maxLines: LABELS.maxLines ?? 2 }
+  ).lines]));
+
+  const labelY = new Map(flatNodes.map(d => [d.id, nodeCentre(d)]));
+  if (LABELS.avoidCollisions ?? true) {
+    for (const [, arr] of nodesByAxis) {
+      const items = arr.map(d => ({
+        id: d.id,
+        y: nodeCentre(d),
+        ...labelBlockMetrics(labelLines.get(d.id).length, labelMetrics),
+      }));
+      // Room: the plot band, or as far out as the labels already reach
+      const spread = spreadLabels(items, {
+        gap: px(LABELS.gap ?? 4),
+        top: Math.min(plotTop - NODE_LABEL_SIZE, ...items.map(it => it.y - it.ascent)),
+        bottom: Math.max(plotBottom, ...items.map(it => it.y - it.ascent + it.height)),
+      });
+      for (const [id, y] of spread) labelY.set(id, y);
+    }
+  }
+
+  // Leader lines for labels moved off their node
+  nodeSel.select("path.label-leader")
+    .attr("display", d => (Math.abs(labelY.get(d.id) - nodeCentre(d)) < (LABELS.leaderMin ?? 3) ? "none" : null))
+    .attr("d", d => {
+      const left = labelsLeft(d);
+      const dotR = d.axis === CLUSTER_AXIS ? clusterR(d.value || 1) : 0;
+      const x0 = left ? (d.x0 + d.x1) / 2 - dotR - 1 : Math.max(d.x1, (d.x0 + d.x1) / 2 + dotR) + 1;
+      const x1 = labelX(d) + (left ? px(3) : -px(3));
+      const y1 = labelY.get(d.id) - 0.3 * NODE_LABEL_SIZE; // middle of the first line
+      return `M ${x0} ${nodeCentre(d)} L ${(x0 + x1) / 2} ${nodeCentre(d)} L ${x1} ${y1}`;
     })
-    .attr("y", d => (d.y0 + d.y1) / 2)
-    .attr("text-anchor", d => (d.axis === CLUSTER_AXIS ? "end" : "start"))
+    .attr("fill", "none")
+    .attr("stroke", MUTED)
+    .attr("stroke-opacity", 0.7)
+    .attr("stroke-width", 1);
+
+  nodeSel.select("text")
+    .attr("x", labelX)
+    .attr("y", d => labelY.get(d.id))
+    .attr("transform", d => labelTurn(labelX(d)))
+    .attr("text-anchor", d => turnAnchor(labelsLeft(d) ? "end" : "start"))
     .each(function (d) {
       const t = d3.select(this);
       t.selectAll("*").remove();
 
-      const x =
-        d.axis === CLUSTER_AXIS ? d.x0 - dxLabel - 10 :
-        d.axis === AFFECT_AXIS ? d.x1 + dxLabel + aimLabelPad :
-        d.x1 + dxLabel;
+      const x = labelX(d);
+      const lines = labelLines.get(d.id);
 
-      const lines = splitSlashLabel(d.label);
+      // Nodes in the active filter are bold + underlined
+      const selected = isSelected(filter, d.axis, d.label);
 
       // Halo stroke widths scale with font sizes
       const labelHalo = Math.max(2.0, NODE_LABEL_SIZE * 0.14);
@@ -405,7 +653,8 @@ export async function initViz(containerSelector) {
           .text(line)
           .attr("fill", INK)
           .attr("font-size", NODE_LABEL_SIZE)
-          .attr("font-weight", 550)
+          .attr("font-weight", selected ? 800 : 550)
+          .attr("text-decoration", selected ? "underline" : null)
           .attr("paint-order", "stroke")
           .attr("stroke", "#ffffff")
           .attr("stroke-opacity", 0.95)
@@ -416,7 +665,7 @@ export async function initViz(containerSelector) {
       t.append("tspan")
         .attr("x", x)
         .attr("dy", "1.15em")
-        .text(`(${d.value})`)
+        .text(`(${formatCount(d.value)})`)
         .attr("fill", MUTED)
         .attr("font-size", COUNT_SIZE)
         .attr("font-weight", 500)
@@ -425,8 +674,119 @@ export async function initViz(containerSelector) {
         .attr("stroke-opacity", 0.95)
         .attr("stroke-width", countHalo)
         .attr("stroke-linejoin", "round");
+
+      // Comparison: change in node total since the baseline
+      const delta = nodeDeltas.get(d.id);
+      if (delta) {
+        t.append("tspan")
+          .attr("dx", "0.35em")
+          .text(formatDelta(delta))
+          .attr("fill", delta > 0 ? DIFF_UP : DIFF_DOWN)
+          .attr("font-size", COUNT_SIZE)
+          .attr("font-weight", 700)
+          .attr("paint-order", "stroke")
+          .attr("stroke", "#ffffff")
+          .attr("stroke-opacity", 0.95)
+          .attr("stroke-width", countHalo)
+          .attr("stroke-linejoin", "round");
+      }
     });
 
+  // -----------------------------
+  // Marginal dot strips: category totals beside each axis, on the side
+  // away from the labels. With a filter, the ring is the corpus total and
+  // the filled dot the filtered total. One radius scale for all axes.
+  // -----------------------------
+  const marginals = { ...MARGINALS, ...settings.marginals };
+  let dotKeyBand = 0; // vertical: header px taken by the size key
+  if (marginals.dots) {
+    const stripAxes = axisInfo.filter(a => !marginals.axes || marginals.axes.includes(a.axis));
+    const filteredRows = isFilterEmpty(filter)
+      ? null
+      : (active ? rows.filter((r, i) => active.has(i)) : rows);
+
+    // Folded axes: the "Other" node shows its members' total
+    const stripTotals = (a, source) => {
+      const totals = categoryTotals(source, a.axis, dataOpts.multi);
+      if (!a.otherMembers) return totals;
+      const other = d3.sum(a.otherMembers, label => totals.get(label) || 0);
+      return new Map([...totals, [small.otherLabel, other]]);
+    };
+    const corpus = new Map(stripAxes.map(a => [a.axis, stripTotals(a, corpusRows)]));
+    const vMax = d3.max([...corpus.values()].flatMap(m => [...m.values()])) || 1;
+    const [rMin, rMax, gap] = [marginals.rMin, marginals.rMax, marginals.gap].map(px);
+
+    let r = null;
+    for (const a of stripAxes) {
+      // Opposite the labels (see labelsLeft)
+      const x = labelsLeft(a)
+        ? axisX[a.index] + clusterR.range()[1] + gap + rMax
+        : axisX[a.index] - (a.axis === CLUSTER_AXIS ? clusterR.range()[1] : nodeWidth / 2) - gap - rMax;
+      const yOfLabel = label => {
+        const n = nodesById.get(nodeId(a.axis, label));
+        return n ? (n.y0 + n.y1) / 2 : null;
+      };
+      const strip = {
+        g: gMarginals,
+        categories: a.categories,
+        yOfLabel,
+        x,
+        rMin,
+        rMax,
+        vMax,
+      };
+
+      if (filteredRows) {
+        drawDotStrip({
+          ...strip,
+          totalsByCategory: corpus.get(a.axis),
+          fillOpacity: 0,
+          stroke: INK,
+          strokeOpacity: 0.35,
+          className: `marginal-corpus-${a.index}`,
+        });
+        const filtered = stripTotals(a, filteredRows);
+        r = drawDotStrip({
+          ...strip,
+          categories: a.categories.filter(label => filtered.get(label) > 0),
+          totalsByCategory: filtered,
+          fill: () => INK,
+          fillOpacity: 0.3,
+          stroke: "none",
+          className: `marginal-filtered-${a.index}`,
+        });
+      } else {
+        r = drawDotStrip({
+          ...strip,
+          totalsByCategory: corpus.get(a.axis),
+          fill: () => INK,
+          fillOpacity: 0.18,
+          stroke: INK,
+          strokeOpacity: 0.3,
+          className: `marginal-dot-${a.index}`,
+        });
+      }
+    }
+
+    // Size key in the top-right corner (above the plot, beside the title;
+    // vertical: bottom of the header band, the legend keeps clear of it)
+    if (r) {
+      if (vertical) dotKeyBand = 2 * rMax + COUNT_SIZE * 1.2 + px(8);
+      drawDotLegend({
+        g: vertical ? svg : gMarginals,
+        r,
+        x: (vertical ? svgWidth : width) - px(24),
+        y: vertical ? profile.header - COUNT_SIZE * 1.2 : margin.top - px(34),
+        title: filteredRows ? "Instances (ring = corpus, dot = filtered)" : "Instances",
+        fontSize: COUNT_SIZE,
+        ink: INK,
+      });
+    }
+  }
+
+  // Line-width key (parallel mode with cluster-scaled strands)
+  let widthKey = null;
+
   // =========================================================
   // MODE SWITCH
   // =========================================================
@@ -446,10 +806,10 @@ export async function initViz(containerSelector) {
     );
     const maxCluster = Math.max(1, ...clusterTotals.values());
 
-    const useClusterWidth = PARALLEL?.clusterWidth ?? true;
-    const gamma = PARALLEL?.clusterWidthGamma ?? 0.65;
-    const wMin = PARALLEL?.clusterWidthMin ?? 0.85;
-    const wMax = PARALLEL?.clusterWidthMax ?? 2.2;
+    const useClusterWidth = parallel.clusterWidth ?? true;
+    const gamma = parallel.clusterWidthGamma ?? 0.65;
+    const wMin = parallel.clusterWidthMin ?? 0.85;
+    const wMax = parallel.clusterWidthMax ?? 2.2;
 
     function clusterWidthMult(clusterLabel) {
       if (!useClusterWidth) return 1;
@@ -458,45 +818,46 @@ export async function initViz(containerSelector) {
       return clamp(wMin + (wMax - wMin) * t, wMin, wMax);
     }
 
-    const EMERGE_DX = PARALLEL?.emergeDx ?? 52;
-    const JITTER_R  = PARALLEL?.jitterR ?? 5;
+    const EMERGE_DX = px(parallel.emergeDx ?? 52);
+    const JITTER_R  = px(parallel.jitterR ?? 5);
 
-    // Endpoint lanes into Affective Aim
-    const LANES_ON  = PARALLEL?.aimLanes ?? true;
-    const LANE_DX   = PARALLEL?.aimLaneDx ?? 90;
-    const LANE_JIT  = PARALLEL?.aimLaneJitter ?? 8;
+    // Endpoint lanes into the last axis
+    const LANES_ON  = parallel.aimLanes ?? true;
+    const LANE_DX   = px(parallel.aimLaneDx ?? 90);
+    const LANE_JIT  = px(parallel.aimLaneJitter ?? 8);
 
-    const rowPathsRaw = rows.map((r, i) => {
+    // One strand per instance path (several when a multi-coded instance is
+    // expanded by the "duplicate"/"fractional" strategies)
+    const rowPathsRaw = instances.flatMap((inst, i) => inst.paths.map((path, pk) => {
       const pts = [];
-      const jy = JITTER_R ? (hash01(i) - 0.5) * 2 * JITTER_R : 0;
+      const seed = pk === 0 ? i : i + pk * 1000.5;
+      const jy = JITTER_R ? (hash01(seed) - 0.5) * 2 * JITTER_R : 0;
 
-      let affectLabel = String(r[AFFECT_AXIS] ?? "").trim();
       let affectPt = null;
+      let cluster = null;
 
-      for (let ai = 0; ai < AXES.length; ai++) {
-        const ax = AXES[ai];
-        let v = String(r[ax] ?? "").trim();
-        if (!v) { pts.push(null); continue; }
+      for (let ai = 0; ai < axes.length; ai++) {
+        const ax = axes[ai];
+        const id = path.nodeIds[ai];
 
-        if (ax === CLUSTER_AXIS) v = normClusterLabel(v);
+        // Blank cells (Missing bucket) leave a gap in the strand
+        if (id === nodeId(ax, MISSING_LABEL)) { pts.push(null); continue; }
 
-        const p = geo.get(`${ax}::${v}`);
+        const p = geo.get(id);
         if (!p) { pts.push(null); continue; }
 
         if (ax === CLUSTER_AXIS) {
+          cluster = id.slice(ax.length + 2);
           pts.push([p.x, p.y + jy]);
           pts.push([p.x + EMERGE_DX, p.y + jy]);
         } else {
           pts.push([p.x, p.y]);
         }
 
-        if (ax === AFFECT_AXIS) {
-          affectLabel = String(v ?? "").trim();
-          affectPt = [p.x, p.y];
-        }
+        if (ai === axes.length - 1) affectPt = [p.x, p.y];
       }
 
-      // Endpoint lanes into Affective Aim (reduces last-axis knotting)
+      // Endpoint lanes into the last axis, Affective Aim by default (reduces last-axis knotting)
       if (LANES_ON && affectPt) {
         let lastIdx = -1;
         for (let j = pts.length - 1; j >= 0; j--) {
@@ -505,37 +866,53 @@ export async function initViz(containerSelector) {
         if (lastIdx >= 0) {
           const end = pts[lastIdx];
           const xLane = end[0] - LANE_DX;
-          const jy2 = (hash01(i * 97.13) - 0.5) * 2 * LANE_JIT;
+          const jy2 = (hash01(seed * 97.13) - 0.5) * 2 * LANE_JIT;
           const yLane = end[1] + jy2;
           pts.splice(lastIdx, 0, [xLane, yLane]);
         }
       }
 
-      const cluster = normClusterLabel(r[CLUSTER_AXIS]);
-      const affect = affectLabel;
+      cluster ??= normLabel(CLUSTER_AXIS, rows[i][CLUSTER_AXIS]);
+      const colorKey = inst.colorKey;
 
-      return { i, pts, cluster, affect, wMult: clusterWidthMult(cluster) };
-    });
+      // Fractional paths are drawn thinner (never below a legible minimum)
+      const weightMult = Math.max(0.35, path.weight);
+
+      return { i, pts, cluster, colorKey, wMult: clusterWidthMult(cluster) * weightMult };
+    }));
 
     // draw order: thin first, thick last
     const rowPaths = rowPathsRaw.slice().sort((a, b) => (a.wMult ?? 1) - (b.wMult ?? 1));
 
-    const curveAlpha = PARALLEL?.curveAlpha ?? 0.65;
+    const curveAlpha = parallel.curveAlpha ?? 0.65;
     const lineGen = d3.line()
       .defined(d => d != null)
       .curve(d3.curveCatmullRom.alpha(curveAlpha))
       .x(d => d[0])
       .y(d => d[1]);
 
-    const strokeOpacity = PARALLEL?.strokeOpacity ?? 0.22;
-    const strokeWidth   = PARALLEL?.strokeWidth ?? 1.2;
+    const strokeOpacity = parallel.strokeOpacity ?? 0.22;
+    const strokeWidth   = parallel.strokeWidth ?? 1.2;
+
+    // Smallest, median and largest concept as width samples
+    if (useClusterWidth && clusterTotals.size > 1) {
+      const byTotal = [...clusterTotals].sort((a, b) => a[1] - b[1]);
+      const picks = [...new Set([0, Math.floor((byTotal.length - 1) / 2), byTotal.length - 1])];
+      widthKey = {
+        title: "Line width = concept size",
+        items: picks.map(k => {
+          const [label, v] = byTotal[k];
+          return { label: `${shortName(CLUSTER_AXIS, label)} (${formatCount(v)})`, width: strokeWidth * clusterWidthMult(label) };
+        }),
+      };
+    }
 
     // Neutral underlay (structure first) - PDF-safe
-    const UNDERLAY_ON = PARALLEL?.underlay ?? true;
-    const underlayOpacity = PARALLEL?.underlayOpacity ?? 0.012;
-    const underlayWidth   = PARALLEL?.underlayWidth ?? 2.6;
-    const underlayStroke  = PARALLEL?.underlayStroke ?? "#111827";
-    const underlayStrokeOpacity = PARALLEL?.underlayStrokeOpacity ?? 0.35;
+    const UNDERLAY_ON = parallel.underlay ?? true;
+    const underlayOpacity = parallel.underlayOpacity ?? 0.012;
+    const underlayWidth   = parallel.underlayWidth ?? 2.6;
+    const underlayStroke  = parallel.underlayStroke ?? "#111827";
+    const underlayStrokeOpacity = parallel.underlayStrokeOpacity ?? 0.35;
 
     if (UNDERLAY_ON) {
       gLinks.append("g")
@@ -555,10 +932,12 @@ export async function initViz(containerSelector) {
     }
 
     // Coloured strands (print-friendly)
-    const COLOUR_BLEND = PARALLEL?.blendMode ?? "normal";
+    const COLOUR_BLEND = parallel.blendMode ?? "normal";
 
-    if (PARALLEL?.glow) {
-      gLinks.append("g")
+    let glowSel = null;
+    const glowOpacity = parallel.glowOpacity ?? 0.04;
+    if (parallel.glow) {
+      glowSel = gLinks.append("g")
         .attr("class", "glow")
         .style("mix-blend-mode", COLOUR_BLEND)
         .selectAll("path.row-glow")
@@ -567,14 +946,14 @@ export async function initViz(containerSelector) {
         .attr("class", "row-glow")
         .attr("d", d => lineGen(d.pts))
         .attr("fill", "none")
-        .attr("stroke", d => (colorBy === CLUSTER_AXIS ? colorForCluster(d.cluster) : colorForAffect(d.affect)))
-        .attr("stroke-opacity", PARALLEL?.glowOpacity ?? 0.04)
-        .attr("stroke-width", d => (PARALLEL?.glowWidth ?? 2.4) * (d.wMult ?? 1))
+        .attr("stroke", d => colorOf(d.colorKey))
+        .attr("stroke-opacity", glowOpacity)
+        .attr("stroke-width", d => (parallel.glowWidth ?? 2.4) * (d.wMult ?? 1))
         .attr("stroke-linecap", "round")
         .attr("stroke-linejoin", "round");
     }
 
-    gLinks.append("g")
+    const strandSel = gLinks.append("g")
       .attr("class", "strands")
       .style("mix-blend-mode", COLOUR_BLEND)
       .selectAll("path.row")
@@ -583,21 +962,115 @@ export async function initViz(containerSelector) {
       .attr("class", "row")
       .attr("d", d => lineGen(d.pts))
       .attr("fill", "none")
-      .attr("stroke", d => (colorBy === CLUSTER_AXIS ? colorForCluster(d.cluster) : colorForAffect(d.affect)))
+      .attr("stroke", d => colorOf(d.colorKey))
       .attr("stroke-opacity", strokeOpacity)
       .attr("stroke-width", d => strokeWidth * (d.wMult ?? 1))
       .attr("stroke-linecap", "round")
-      .attr("stroke-linejoin", "round");
+      .attr("stroke-linejoin", "round")
+      // Comparison: instances recoded since the baseline are dashed
+      .attr("stroke-dasharray", d => (diff?.changedRows.has(rows[d.i]) ? `${px(8)} ${px(4)}` : null));
+
+    // Invisible, wider hit paths so single strands are easy to hover
+    const strandHitSel = gLinks.append("g")
+      .attr("class", "strand-hits")
+      .selectAll("path.row-hit")
+      .data(rowPaths)
+      .join("path")
+      .attr("class", "row-hit")
+      .attr("d", d => lineGen(d.pts))
+      .attr("fill", "none")
+      .attr("stroke", INK)
+      .attr("stroke-opacity", 0)
+      .attr("stroke-width", parallel.hitWidth ?? 8)
+      .attr("pointer-events", "stroke");
+
+    attachHighlight({
+      instances,
+      nodeSel,
+      strandSel,
+      strandHitSel,
+      glowSel,
+      strandOpacity: strokeOpacity,
+      glowOpacity,
+      active: emphasis,
+      onNodeClick: nodeClick,
+      onStrandClick: d => onInspect?.(`Instance ${instances[d.i].id}`, [instances[d.i]]),
+    });
 
   } else {
-    // Alluvial
-    gLinks.selectAll("path.link")
-      .data(linksSorted.filter(d => d.x0 != null), (d, i) => `${d.source}-->${d.target}#${i}`)
+    // Alluvial: one ribbon per link coloured by its dominant colour-by key,
+    // or (split) stacked sub-ribbons per byCluster share
+    const splitOn = settings.ribbon?.split ?? RIBBON?.split ?? false;
+    const colorAxis = axisInfo.find(a => a.axis === colorBy);
+    const ribbons = splitOn
+      ? splitRibbons(linksSorted, colorAxis?.categories ?? [])
+      : linksSorted
+        .filter(d => d.x0 != null)
+        .map(d => ({ ...d, key: d.cluster }));
+
+    const linkSel = gLinks.selectAll("path.link")
+      .data(ribbons, (d, i) => `${d.source}-->${d.target}#${d.key}#${i}`)
       .join("path")
       .attr("class", "link")
       .attr("d", ribbonPath)
-      .attr("fill", d => colorForAffect(d.affect))
-      .attr("fill-opacity", RIBBON.opacity);
+      .attr("fill", d => colorOf(d.key))
+      .attr("fill-opacity", RIBBON.opacity)
+      // Comparison: ribbons whose weight moved since the baseline are outlined
+      .attr("stroke", d => {
+        const delta = linkDeltas.get(`${d.source}-->${d.target}`);
+        return delta ? (delta > 0 ? DIFF_UP : DIFF_DOWN) : null;
+      })
+      .attr("stroke-opacity", d => (linkDeltas.has(`${d.source}-->${d.target}`) ? 0.8 : null))
+      .attr("stroke-width", d => (linkDeltas.has(`${d.source}-->${d.target}`) ? px(1.5) : null));
+
+    attachHighlight({
+      instances,
+      nodeSel,
+      linkSel,
+      linkOpacity: RIBBON.opacity,
+      active: emphasis,
+      onNodeClick: nodeClick,
+      onLinkClick: (d, indices) => {
+        const s = nodesById.get(d.source);
+        const t = nodesById.get(d.target);
+        onInspect?.(`${s?.label} → ${t?.label}`, indices.map(i => instances[i]));
+      },
+    });
+  }
+
+  // Drag categories along their axis (after attachHighlight, so the grab cursor wins)
+  if (onCategoryReorder) {
+    attachCategoryDrag({ nodeSel, nodes: flatNodes, onReorder: onCategoryReorder });
+  }
+
+  // -----------------------------
+  // Legend (top-left corner, clear of the centred title)
+  // -----------------------------
+  const legendOpts = { ...LEGEND, ...settings.legend };
+  if (legendOpts.legend) {
+    // Categories of the colour-by attribute that occur, in axis order when shown
+    const present = new Set(instances.map(inst => inst.colorKey).filter(k => k != null));
+    const axisOrder = axisInfo.find(a => a.axis === colorBy)?.categories ?? [];
+    const keys = axisOrder.filter(k => present.has(k))
+      .concat([...present].filter(k => !axisOrder.includes(k)).sort());
+
+    // Vertical: across the header band, under the subtitle
+    const titleLeft = svgWidth / 2 - approxTextWidth(TITLE, TITLE_SIZE * 1.05) / 2;
+    const box = vertical
+      ? { x0: px(24), x1: svgWidth - px(24), y0: subtitleTop + SUBTITLE_SIZE + px(10), y1: profile.header - px(8) - dotKeyBand }
+      : { x0: px(24), x1: titleLeft - px(32), y0: titleTop, y1: margin.top - px(24) };
+    drawLegend(svg, {
+      colorTitle: colorBy,
+      colorItems: keys.map(k => ({ label: shortName(colorBy, k), color: colorOf(k) })),
+      widthKey,
+      box,
+      fontSize: COUNT_SIZE,
+      // The legend may shrink its type to fit, but not below the legible floor
+      minFontSize: Math.max(legendOpts.minFontSize, profile.minFont ?? 0),
+      ink: INK,
+      muted: MUTED,
+    });
   }
-}
 
+  return { instances, active, colorOf, ordering, cappedRows };
+}
@@ -0,0 +1,222 @@
+// src/viz/stats.js
+// Co-occurrence and association between any two axes (pure; no DOM).
+// - Contingency table for an axis pair (multi-coded cells weighted as in the map)
+// - Chi-square test, Cramér's V
+// - Per cell: expected count, lift, pointwise mutual information and
+//   standardized residuals (which combinations occur more/less than chance)
+
+import { MULTI } from "./config.js";
+import { MISSING_LABEL, splitCell } from "./preprocess.js";
+
+/**
+ * Cross-tabulate two axes.
+ * An instance coded with several labels contributes the product of their
+ * weights to each label pair (fractional: 1/(ka*kb), duplicate: 1, first: 1).
+ *
+ * @param {Array<Object>} rows
+ * @param {string} axisA - row axis
+ * @param {string} axisB - column axis
+ * @param {Object} [opts]
+ * @param {Object} [opts.multi]          - multi-code settings (see splitCell)
+ * @param {boolean} [opts.includeMissing] - keep blank cells as "Missing" (default false)
+ * @param {Array<string>} [opts.rowOrder] - category order for axisA (default: frequency desc)
+ * @param {Array<string>} [opts.colOrder] - category order for axisB
+ * @returns {{ axisA, axisB, rows: string[], cols: string[], counts: number[][],
+ *             rowTotals: number[], colTotals: number[], total: number }}
+ */
+export function contingencyTable(rows, axisA, axisB, {
+  multi = MULTI,
+  includeMissing = false,
+  rowOrder = null,
+  colOrder = null,
+} = {}) {
+  const cells = new Map(); // a -> Map<b, weight>
+  const totA = new Map();
+  const totB = new Map();
+
+  for (const r of rows) {
+    const partsA = splitCell(axisA, r[axisA], multi);
+    const partsB = splitCell(axisB, r[axisB], multi);
+    for (const pa of partsA) {
+      if (!includeMissing && pa.label === MISSING_LABEL) continue;
+      for (const pb of partsB) {
+        if (!includeMissing && pb.label === MISSING_LABEL) continue;
+        const w = pa.w * pb.w;
+        if (!cells.has(pa.label)) cells.set(pa.label, new Map());
+        const m = cells.get(pa.label);
+        m.set(pb.label, (m.get(pb.label) || 0) + w);
+        totA.set(pa.label, (totA.get(pa.label) || 0) + w);
+        totB.set(pb.label, (totB.get(pb.label) || 0) + w);
+      }
+    }
+  }
+
+  const byFrequency = (tot) => [...tot.keys()].sort((x, y) => (tot.get(y) - tot.get(x)) || x.localeCompare(y));
+  const ordered = (order, tot) => (order
+    ? order.filter(l => tot.has(l)).concat(byFrequency(tot).filter(l => !order.includes(l)))
+    : byFrequency(tot));
+
+  const rowLabels = ordered(rowOrder, totA);
+  const colLabels = ordered(colOrder, totB);
+  const counts = rowLabels.map(a => colLabels.map(b => cells.get(a)?.get(b) || 0));
+
+  return {
+    axisA,
+    axisB,
+    rows: rowLabels,
+    cols: colLabels,
+    counts,
+    rowTotals: rowLabels.map(a => totA.get(a)),
+    colTotals: colLabels.map(b => totB.get(b)),
+    total: rowLabels.reduce((s, a) => s + totA.get(a), 0),
+  };
+}
+
+// -----------------------------
+// Chi-square distribution (upper tail)
+// -----------------------------
+
+function logGamma(x) {
+  // Lanczos approximation (g = 7, n = 9)
+  const c = [
+    0.99999999999980993, 676.5203681218851, -1259.1392167224028,
+    771.32342877765313, -176.61502916214059, 12.507343278686905,
+    -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7,
+  ];
+  if (x < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+  x -= 1;
+  let a = c[0];
+  const t = x + 7.5;
+  for (let i = 1; i < 9; i++) a += c[i] / (x + i);
+  return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(a);
+}
+
+// Regularized upper incomplete gamma Q(a, x)
+function gammaQ(a, x) {
+  if (x <= 0) return 1;
+  const lnPre = -x + a * Math.log(x) - logGamma(a);
+
+  if (x < a + 1) {
+    // Series for P(a, x)
+    let sum = 1 / a;
+    let term = sum;
+    for (let n = 1; n < 500; n++) {
+      term *= x / (a + n);
+      sum += term;
+      if (Math.abs(term) < Math.abs(sum) * 1e-14) break;
+    }
+    return 1 - sum * Math.exp(lnPre);
+  }
+
+  // Continued fraction for Q(a, x) (modified Lentz)
+  const tiny = 1e-300;
+  let b = x + 1 - a;
+  let c = 1 / tiny;
+  let d = 1 / b;
+  let h = d;
+  for (let i = 1; i < 500; i++) {
+    const an = -i * (i - a);
+    b += 2;
+    d = an * d + b;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = b + an / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < 1e-14) break;
+  }
+  return Math.exp(lnPre) * h;
+}
+
+export function chiSquarePValue(chiSquare, df) {
+  if (!(df > 0)) return NaN;
+  return gammaQ(df / 2, chiSquare / 2);
+}
+
+// -----------------------------
+// Association measures
+// -----------------------------
+
+/**
+ * Association statistics for a contingency table.
+ *
+ * @param {Object} table - contingencyTable() result
+ * @returns {Object} stats:
+ * - n, chiSquare, df, pValue, cramersV
+ * - cells[i][j] = { row, col, observed, expected, lift, pmi, residual, adjustedResidual }
+ *   lift = O/E; pmi = log2(lift) (-Infinity when O = 0);
+ *   residual = (O-E)/√E (Pearson); adjustedResidual ~ N(0,1) under independence
+ *   (|value| > 1.96 ≈ more/less frequent than chance at the 5% level)
+ */
+export function associationStats(table) {
+  const { rows, cols, counts, rowTotals, colTotals, total: n } = table;
+
+  let chiSquare = 0;
+  const cells = rows.map((row, i) => cols.map((col, j) => {
+    const observed = counts[i][j];
+    const expected = n ? (rowTotals[i] * colTotals[j]) / n : 0;
+    const lift = expected ? observed / expected : NaN;
+    const residual = expected ? (observed - expected) / Math.sqrt(expected) : 0;
+    const adjVar = expected * (1 - rowTotals[i] / n) * (1 - colTotals[j] / n);
+    const adjustedResidual = adjVar > 0 ? (observed - expected) / Math.sqrt(adjVar) : 0;
+    chiSquare += residual * residual;
+    return {
+      row,
+      col,
+      observed,
+      expected,
+      lift,
+      pmi: Math.log2(lift),
+      residual,
+      adjustedResidual,
+    };
+  }));
+
+  const df = Math.max(0, (rows.length - 1) * (cols.length - 1));
+  const k = Math.min(rows.length, cols.length) - 1;
+  const cramersV = n && k > 0 ? Math.sqrt(chiSquare / (n * k)) : 0;
+
+  return {
+    n,
+    chiSquare,
+    df,
+    pValue: chiSquarePValue(chiSquare, df),
+    cramersV,
+    cells,
+  };
+}
+
+/**
+ * Contingency table + association statistics for one axis pair.
+ * Accepts the same options as contingencyTable().
+ */
+export function crossTab(rows, axisA, axisB, opts = {}) {
+  const table = contingencyTable(rows, axisA, axisB, opts);
+  return { ...table, ...associationStats(table) };
+}
+
+/**
+ * Cell statistics for one label pair (null when either label is absent).
+ */
+export function cellStats(result, rowLabel, colLabel) {
+  const i = result.rows.indexOf(rowLabel);
+  const j = result.cols.indexOf(colLabel);
+  return i < 0 || j < 0 ? null : result.cells[i][j];
+}
+
+/**
+ * Association summary for every pair of `axes` (strongest first).
+ *
+ * @returns {Array<{ axisA, axisB, n, chiSquare, df, pValue, cramersV }>}
+ */
+export function pairwiseAssociation(rows, axes, opts = {}) {
+  const out = [];
+  for (let a = 0; a < axes.length; a++) {
+    for (let b = a + 1; b < axes.length; b++) {
+      const { n, chiSquare, df, pValue, cramersV } = crossTab(rows, axes[a], axes[b], opts);
+      out.push({ axisA: axes[a], axisB: axes[b], n, chiSquare, df, pValue, cramersV });
+    }
+  }
+  return out.sort((x, y) => y.cramersV - x.cramersV);
+}
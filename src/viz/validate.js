@@ -0,0 +1,278 @@
+// src/viz/validate.js
+// Schema validation and data-quality report for coded datasets.
+// Surfaces what preprocess does silently:
+// - columns outside the schema, configured axes missing from the data
+// - per-axis blank cells (mapped to "Missing")
+// - cells rewritten by normalisation (trimmed whitespace, codebook aliases)
+// - near-duplicate labels that may split one category (whitespace/case/typo)
+// - codes missing from the codebook, and codebook colours that match no category
+// Multi-coded cells are checked code by code (MULTI.delimiter), as preprocess reads them.
+
+import * as d3 from "d3";
+import { AXES, DATA, MULTI } from "./config.js";
+import { MISSING_LABEL, normLabel, splitCell } from "./preprocess.js";
+import { unmatchedColorKeys } from "./palette.js";
+import { codebookIds } from "./codebook.js";
+
+// Labels this close (edit distance) are flagged as possible typos
+const TYPO_MAX_DISTANCE = 2;
+// ...but only when both are at least this long (avoid "DC1" vs "DC2")
+const TYPO_MIN_LENGTH = 5;
+
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+    }
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+/**
+ * Classify why two raw labels look like the same category (null = they don't).
+ */
+function nearDuplicateReason(a, b) {
+  if (a.trim() === b.trim()) return { reason: "whitespace", distance: 0 };
+
+  const la = a.trim().toLowerCase().replace(/\s+/g, " ");
+  const lb = b.trim().toLowerCase().replace(/\s+/g, " ");
+  if (la === lb) return { reason: "case", distance: 0 };
+
+  if (Math.min(la.length, lb.length) < TYPO_MIN_LENGTH) return null;
+  const distance = levenshtein(la, lb);
+  if (distance <= TYPO_MAX_DISTANCE) return { reason: "typo", distance };
+  return null;
+}
+
+// Codes of one cell as typed: the delimited parts, or the whole (untrimmed) cell
+function rawCodes(raw, delimiter) {
+  const s = String(raw ?? "");
+  if (!delimiter) return s.trim() ? [s] : [];
+  return s.split(delimiter).map(part => part.trim()).filter(Boolean);
+}
+
+/**
+ * Validate a dataset against the configured schema.
+ *
+ * @param {Array<Object>} rows - d3-style rows (`rows.columns` set)
+ * @param {Object} [opts]
+ * @param {Array<string>} [opts.axes]         - axes expected in the data
+ * @param {string} [opts.idColumn]
+ * @param {string} [opts.textColumn]
+ * @param {Array<string>} [opts.schemaColumns] - every column the schema knows about
+ * @param {Object} [opts.multi]               - multi-code settings (MULTI)
+ * @returns {Object} structured report (fields below)
+ *
+ * Report fields:
+ * - rowCount
+ * - unknownColumns: columns in the data but not in the schema
+ * - missingAxes:    axes in the schema but not in the data
+ * - axes: { [axis]: { missing, categories } }
+ * - rewrites: [{ row, id, axis, from, to, kind: "trim"|"recode" }]
+ * - rewriteSummary: [{ axis, from, to, kind, count }]
+ * - nearDuplicates: [{ axis, labels: [a, b], counts: [na, nb], reason, distance }]
+ * - uncodified: [{ axis, label }]  (labels on a codebook axis that are not codebook ids)
+ * - unmatchedColors: [{ axis, key }]  (codebook colours with no matching category)
+ * - duplicateIds: [id]  (informational: one sentence may legitimately be coded several times)
+ * - issueCount: total number of findings (0 = clean)
+ */
+export function validateDataset(rows, {
+  axes = AXES,
+  idColumn = DATA.idColumn,
+  textColumn = DATA.textColumn,
+  schemaColumns = [idColumn, textColumn, ...AXES],
+  multi = MULTI,
+} = {}) {
+  const columns = rows.columns || Object.keys(rows[0] || {});
+  const known = new Set(schemaColumns.concat(axes));
+
+  const unknownColumns = columns.filter(c => !known.has(c));
+  const missingAxes = axes.filter(a => !columns.includes(a));
+  const presentAxes = axes.filter(a => columns.includes(a));
+
+  // ----------------------------
+  // Per-axis missing counts + rewrites
+  // ----------------------------
+  const axisStats = {};
+  const categoriesByAxis = {};
+  const rewrites = [];
+
+  for (const axis of presentAxes) {
+    let missing = 0;
+    const categories = new Set();
+
+    rows.forEach((r, i) => {
+      const raw = String(r[axis] ?? "");
+      for (const { label } of splitCell(axis, raw, multi)) categories.add(label);
+
+      if (!raw.trim()) {
+        missing += 1;
+        return;
+      }
+      for (const code of rawCodes(raw, multi.delimiter)) {
+        const label = normLabel(axis, code);
+        if (code === label) continue;
+        rewrites.push({
+          row: i,
+          id: String(r[idColumn] ?? i).trim(),
+          axis,
+          from: code,
+          to: label,
+          kind: code.trim() === label ? "trim" : "recode",
+        });
+      }
+    });
+
+    categories.delete(MISSING_LABEL);
+    categoriesByAxis[axis] = categories;
+    axisStats[axis] = { missing, categories: categories.size };
+  }
+
+  const rewriteSummary = d3.flatRollup(
+    rewrites,
+    v => v.length,
+    d => d.axis,
+    d => d.from,
+    d => d.to,
+    d => d.kind
+  ).map(([axis, from, to, kind, count]) => ({ axis, from, to, kind, count }));
+
+  // ----------------------------
+  // Near-duplicate raw labels (per axis)
+  // ----------------------------
+  const nearDuplicates = [];
+  for (const axis of presentAxes) {
+    const counts = d3.rollup(
+      rows.flatMap(r => rawCodes(r[axis], multi.delimiter)),
+      v => v.length,
+      code => code
+    );
+    const labels = [...counts.keys()].sort();
+
+    for (let i = 0; i < labels.length; i++) {
+      for (let j = i + 1; j < labels.length; j++) {
+        const hit = nearDuplicateReason(labels[i], labels[j]);
+        if (!hit) continue;
+        nearDuplicates.push({
+          axis,
+          labels: [labels[i], labels[j]],
+          counts: [counts.get(labels[i]), counts.get(labels[j])],
+          ...hit,
+        });
+      }
+    }
+  }
+
+  const ids = codebookIds();
+  const uncodified = presentAxes
+    .filter(axis => ids[axis])
+    .flatMap(axis => [...categoriesByAxis[axis]]
+      .filter(label => !ids[axis].includes(label))
+      .map(label => ({ axis, label })));
+  const unmatchedColors = unmatchedColorKeys(categoriesByAxis);
+
+  // ----------------------------
+  // Repeated IDs (a sentence coded more than once; not counted as an issue)
+  // ----------------------------
+  const duplicateIds = columns.includes(idColumn)
+    ? [...d3.rollup(rows, v => v.length, r => String(r[idColumn] ?? "").trim())]
+      .filter(([id, n]) => id && n > 1)
+      .map(([id]) => id)
+    : [];
+
+  const missingCells = d3.sum(Object.values(axisStats), s => s.missing);
+  const issueCount =
+    unknownColumns.length +
+    missingAxes.length +
+    missingCells +
+    rewriteSummary.length +
+    nearDuplicates.length +
+    uncodified.length +
+    unmatchedColors.length;
+
+  return {
+    rowCount: rows.length,
+    unknownColumns,
+    missingAxes,
+    axes: axisStats,
+    rewrites,
+    rewriteSummary,
+    nearDuplicates,
+    uncodified,
+    unmatchedColors,
+    duplicateIds,
+    issueCount,
+  };
+}
+
+// -----------------------------
+// UI
+// -----------------------------
+
+// Make surrounding whitespace visible ("Handling " -> "Handling·")
+function showSpaces(s) {
+  return String(s).replace(/^\s+|\s+$/g, m => "·".repeat(m.length));
+}
+
+/**
+ * Render a collapsible data-quality panel (HTML).
+ * The third argument comes from the drawn figure: `cappedRows` (drawFigure)
+ * adds a finding for rows whose strands were capped at `maxPaths` combinations.
+ */
+export function renderQualityReport(host, report, { cappedRows = 0, maxPaths = MULTI.maxPaths } = {}) {
+  host.selectAll("*").remove();
+  if (!report) return;
+
+  const issueCount = report.issueCount + (cappedRows ? 1 : 0);
+  const details = host.append("details").attr("class", "quality-report");
+  details.append("summary")
+    .classed("has-issues", issueCount > 0)
+    .text(issueCount
+      ? `Data quality: ${issueCount} finding${issueCount === 1 ? "" : "s"}`
+      : "Data quality: no issues");
+
+  function section(title, items, fmt) {
+    if (!items.length) return;
+    details.append("h3").text(`${title} (${items.length})`);
+    const ul = details.append("ul");
+    for (const it of items) ul.append("li").text(fmt(it));
+  }
+
+  section("Missing axes", report.missingAxes, a => a);
+  section("Unknown columns", report.unknownColumns, c => c);
+  section(
+    "Blank cells (shown as \"Missing\")",
+    Object.entries(report.axes).filter(([, s]) => s.missing > 0),
+    ([axis, s]) => `${axis}: ${s.missing}`
+  );
+  section(
+    "Near-duplicate labels",
+    report.nearDuplicates,
+    d => `${d.axis}: "${showSpaces(d.labels[0])}" (${d.counts[0]}) ~ "${showSpaces(d.labels[1])}" (${d.counts[1]}) — ${d.reason}`
+  );
+  section(
+    "Rewritten values",
+    report.rewriteSummary,
+    d => `${d.axis}: "${showSpaces(d.from)}" → "${d.to}" ×${d.count} (${d.kind})`
+  );
+  section("Codes missing from the codebook", report.uncodified, d => `${d.axis}: "${d.label}"`);
+  section(
+    "Codebook colours matching no category",
+    report.unmatchedColors,
+    d => `${d.axis}: "${d.key}"`
+  );
+  section("Repeated IDs (multi-coded sentences)", report.duplicateIds, id => id);
+  section(
+    "Capped strands",
+    cappedRows ? [cappedRows] : [],
+    n => `${n} multi-coded row${n === 1 ? " has" : "s have"} more than ${maxPaths} label combinations; their strands follow the first code on the remaining axes`
+  );
+}
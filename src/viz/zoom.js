@@ -0,0 +1,184 @@
+// src/viz/zoom.js
+// Screen view of the figure: zoom / pan (d3-zoom), minimap, fit to screen and
+// a fisheye focus on one axis.
+// - Screen only: the SVG is scaled into the figure pane (viewBox), zooming
+//   transforms a wrapper group. Exports redraw the print figure (app.js), so
+//   none of this reaches a saved file
+// - Text is never drawn below ZOOM.minFontPx on screen: while a gesture runs,
+//   font sizes are raised in place (the drawn size is kept in data-font-size);
+//   when it ends, `onMinFont` lets the page redraw the figure at that size, so
+//   labels are placed (spread, leader lines) at the size they are shown
+// - The zoom survives redraws (filter clicks, settings); "Fit" resets it
+// - Focus: the figure is redrawn with more room around one axis (render.js
+//   `focusAxis`), compressing the others
+
+import * as d3 from "d3";
+import { ZOOM } from "./config.js";
+
+let uid = 0;
+
+/**
+ * Zoom controller for one figure pane.
+ *
+ * @param {d3.Selection} host - the figure pane (drawFigure target)
+ * @returns {{ attach: Function, fit: Function }}
+ */
+export function createZoomView(host) {
+  const id = `zoom-content-${++uid}`;
+  let current = d3.zoomIdentity;
+  let svg = null;
+  let size = null; // print size { width, height } of the figure on show
+  let zoom = null;
+
+  // Viewport px per figure unit at zoom 1 (the SVG is fitted into the pane)
+  function fitScale() {
+    const box = svg.node().getBoundingClientRect?.();
+    if (!box?.width || !box?.height) return 1; // not laid out (headless)
+    return Math.min(box.width / size.width, box.height / size.height);
+  }
+
+  // Smallest legible font size in figure units at the current zoom
+  function minFont() {
+    return ZOOM.minFontPx / (fitScale() * current.k);
+  }
+
+  function keepLegible() {
+    const floor = minFont();
+    svg.selectAll(".zoom-content [font-size]").each(function () {
+      const el = d3.select(this);
+      let base = el.attr("data-font-size");
+      if (base == null) {
+        base = el.attr("font-size");
+        el.attr("data-font-size", base);
+      }
+      el.attr("font-size", Math.max(+base, floor));
+    });
+  }
+
+  // -----------------------------
+  // Minimap (while zoomed in)
+  // -----------------------------
+  function drawMinimap() {
+    let mini = host.select("svg.zoom-minimap");
+    if (current.k <= 1) {
+      mini.remove();
+      return;
+    }
+    if (mini.empty()) {
+      mini = host.append("svg").attr("class", "zoom-minimap");
+      mini.append("rect").attr("class", "zoom-minimap-bg");
+      mini.append("use").attr("href", `#${id}`);
+      mini.append("rect").attr("class", "zoom-minimap-view");
+      // Click or drag to move the view
+      const moveTo = event => {
+        const [x, y] = d3.pointer(event, mini.node());
+        svg.call(zoom.translateTo, x, y);
+      };
+      mini.on("pointerdown", moveTo).call(d3.drag().on("drag", event => moveTo(event.sourceEvent)));
+    }
+    mini
+      .attr("viewBox", `0 0 ${size.width} ${size.height}`)
+      .attr("width", ZOOM.minimapWidth)
+      .attr("height", (ZOOM.minimapWidth * size.height) / size.width);
+    mini.select("rect.zoom-minimap-bg")
+      .attr("width", size.width)
+      .attr("height", size.height);
+
+    const [x0, y0] = current.invert([0, 0]);
+    const [x1, y1] = current.invert([size.width, size.height]);
+    mini.select("rect.zoom-minimap-view")
+      .attr("x", x0)
+      .attr("y", y0)
+      .attr("width", x1 - x0)
+      .attr("height", y1 - y0);
+  }
+
+  // -----------------------------
+  // Toolbar: zoom out / in, fit, focus
+  // -----------------------------
+  function drawToolbar({ axes, focusAxis, onFocus }) {
+    host.select("div.zoom-toolbar").remove();
+    const bar = host.append("div").attr("class", "zoom-toolbar");
+
+    bar.append("button")
+      .attr("type", "button")
+      .attr("aria-label", "Zoom out")
+      .text("−")
+      .on("click", () => svg.call(zoom.scaleBy, 1 / 1.5));
+    bar.append("button")
+      .attr("type", "button")
+      .attr("aria-label", "Zoom in")
+      .text("+")
+      .on("click", () => svg.call(zoom.scaleBy, 1.5));
+    bar.append("button")
+      .attr("type", "button")
+      .text("Fit")
+      .attr("title", "Fit to screen")
+      .on("click", fit);
+
+    if (!onFocus || !axes.length) return;
+    const sel = bar.append("select")
+      .attr("aria-label", "Focus on an axis")
+      .on("change", function () { onFocus(this.value || null); });
+    sel.selectAll("option")
+      .data([""].concat(axes))
+      .join("option")
+      .attr("value", d => d)
+      .property("selected", d => d === (focusAxis ?? ""))
+      .text(d => (d ? `Focus: ${d}` : "No focus"));
+  }
+
+  /**
+   * Take over a freshly drawn figure.
+   *
+   * @param {SVGSVGElement} svgNode
+   * @param {Object} [opts]
+   * @param {Array<string>} [opts.axes]      - axes offered for focus
+   * @param {string|null} [opts.focusAxis]
+   * @param {(axis:string|null)=>void} [opts.onFocus]
+   * @param {(minFont:number)=>void} [opts.onMinFont] - after each zoom: smallest legible
+   *        font size in figure px (redraw with larger type when it grows)
+   */
+  function attach(svgNode, { axes = [], focusAxis = null, onFocus = null, onMinFont = null } = {}) {
+    svg = d3.select(svgNode);
+    size = { width: +svg.attr("width"), height: +svg.attr("height") };
+
+    // Scale into the pane: drop the fixed size, keep the viewBox
+    svg.attr("width", null).attr("height", null).classed("is-zoomable", true);
+
+    const layer = svg.append("g").attr("class", "zoom-layer");
+    const content = layer.append("g").attr("class", "zoom-content").attr("id", id);
+    for (const child of [...svgNode.childNodes]) {
+      if (child !== layer.node()) content.node().appendChild(child);
+    }
+
+    const extent = [[0, 0], [size.width, size.height]];
+    zoom = d3.zoom()
+      .scaleExtent([1, ZOOM.maxScale])
+      .extent(extent)
+      .translateExtent(extent)
+      .on("zoom", event => {
+        current = event.transform;
+        layer.attr("transform", current);
+        keepLegible();
+        drawMinimap();
+      });
+
+    svg.call(zoom).call(zoom.transform, current);
+    // Reported after each gesture, and once for the figure as first shown
+    // (next frame: the page may redraw in response)
+    if (onMinFont) {
+      zoom.on("end", () => onMinFont(minFont()));
+      requestAnimationFrame(() => {
+        if (svg?.node() === svgNode) onMinFont(minFont());
+      });
+    }
+    drawToolbar({ axes, focusAxis, onFocus });
+  }
+
+  function fit() {
+    if (svg) svg.call(zoom.transform, d3.zoomIdentity);
+  }
+
+  return { attach, fit };
+}